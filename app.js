@@ -5,6 +5,8 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
 require('dotenv').config();
+const { startLifecycleWorker } = require('./utils/lifecycleWorker');
+const { checkQrConfig } = require('./utils/qrTokens');
 
 const app = express();
 
@@ -14,7 +16,11 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body so payment webhooks can verify their signature
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static files
@@ -36,6 +42,15 @@ app.use('/api/v1/users', require('./routes/user'));
 app.use('/api/v1/parkings', require('./routes/parking'));
 app.use('/api/v1/bookings', require('./routes/booking'));
 app.use('/api/v1/notifications', require('./routes/notification'));
+app.use('/api/v1/payments', require('./routes/payment'));
+app.use('/api/v1/wallet', require('./routes/wallet'));
+app.use('/api/v1/payouts', require('./routes/payout'));
+app.use('/api/v1/promo-codes', require('./routes/promoCode'));
+app.use('/api/v1/passes', require('./routes/pass'));
+app.use('/api/v1/waitlist', require('./routes/waitlist'));
+app.use('/api/v1/qr', require('./routes/qr'));
+app.use('/api/v1/gates', require('./routes/gate'));
+app.use('/api/v1/sensors', require('./routes/sensor'));
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -60,6 +75,14 @@ app.use((error, req, res, next) => {
     });
   }
 
+  // Document changed by another request (optimistic concurrency)
+  if (error.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      message: 'Resource was modified by another request, please try again'
+    });
+  }
+
   // JWT errors
   if (error.name === 'JsonWebTokenError') {
     return res.status(401).json({
@@ -102,8 +125,20 @@ const PORT = process.env.PORT || 8090;
 
 // Start server
 const startServer = async () => {
+  try {
+    checkQrConfig();
+  } catch (error) {
+    console.error('❌ QR signing key error:', error.message);
+    process.exit(1);
+  }
+
   await connectDB();
 
+  // Booking lifecycle worker (expiry, no-shows, overstays, owner payouts, pass renewals)
+  if (process.env.LIFECYCLE_WORKER_ENABLED !== 'false') {
+    startLifecycleWorker(parseInt(process.env.LIFECYCLE_INTERVAL_MS) || 60 * 1000);
+  }
+
   app.listen(PORT, () => {
     console.log(`🚗 API Base URL: http://localhost:${PORT}/api/v1`);
   });
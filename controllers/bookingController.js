@@ -1,29 +1,66 @@
 const Booking = require('../models/Booking');
+const BookingHold = require('../models/BookingHold');
 const Parking = require('../models/Parking');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const ScanLog = require('../models/ScanLog');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/AppError');
-
-// Create new booking
+const { reserveParking, reserveSpot, undoReservation } = require('../utils/capacityLedger');
+const { getClosedReason } = require('../utils/openingHours');
+const { quotePrice } = require('../utils/pricing');
+const { resolveBookingWindow, startsInPast, formatDurationAr, BOOKING_BLOCK_MINUTES } = require('../utils/bookingUtils');
+const { transition, getActorRole } = require('../utils/bookingStateMachine');
+const { getCancellationTerms } = require('../utils/cancellationPolicy');
+const { refundBookingPayment } = require('../utils/payments');
+const { debitWallet } = require('../utils/wallet');
+const { issueInvoice, formatInvoice, renderInvoicePdf, getInvoiceLanguage } = require('../utils/invoice');
+const { placeBooking, moveBooking, startCardPayment } = require('../utils/bookingPlacement');
+const { offerFreedCapacity } = require('../utils/waitlist');
+const { getArrivalWindow } = require('../utils/checkIn');
+const { findOwnedParking } = require('../utils/parkingUtils');
+const { revokeQrToken } = require('../utils/qrTokens');
+const {
+  processScan, findTodaysBookingsByPlate, notifyCheckedIn, notifyCompleted, getCompletionSummary
+} = require('../utils/scanning');
+const { claimHold, restoreHold } = require('../utils/bookingHolds');
+
+// Create new booking (or convert a checkout hold with `holdId`)
 exports.createBooking = catchAsync(async (req, res, next) => {
   const {
     parkingId,
     startTime,
     duration,
+    durationMinutes,
+    endTime,
     paymentMethod,
-    notes
+    notes,
+    spotId,
+    promoCode,
+    holdId,
+    vehicleId
   } = req.body;
 
   console.log("afin req.body", req.body);
 
+  // A hold already fixes the parking, window and spot
+  const hold = holdId ? await BookingHold.findOne({ _id: holdId, user: req.user.id }) : null;
+  if (holdId && !hold) {
+    return next(new AppError(404, 'Hold not found'));
+  }
+
   // Validate required fields
-  if (!parkingId || !startTime || !duration) {
-    return next(new AppError(400, 'Parking ID, start time, and duration are required'));
+  if (!hold && (!parkingId || !startTime || (!duration && !durationMinutes && !endTime))) {
+    return next(new AppError(400, 'Parking ID, start time, and duration or end time are required'));
   }
 
+  // Duration in hours, minutes (15 minute blocks) or an explicit end time for multi-day stays
+  const bookingWindow = hold
+    ? { startTime: hold.startTime, endTime: hold.endTime, duration: hold.duration, durationMinutes: hold.durationMinutes }
+    : resolveBookingWindow({ startTime, duration, durationMinutes, endTime });
+
   // Check if parking exists and is available
-  const parking = await Parking.findById(parkingId);
+  const parking = await Parking.findById(hold ? hold.parking : parkingId);
   if (!parking) {
     return next(new AppError(404, 'Parking not found'));
   }
@@ -32,51 +69,60 @@ exports.createBooking = catchAsync(async (req, res, next) => {
     return next(new AppError(400, 'Parking is not available for booking'));
   }
 
-  // Check availability
-  const startTimeDate = new Date(startTime);
-  const conflictingBookings = await Booking.checkAvailability(parkingId, startTimeDate, duration);
-
-  if (conflictingBookings >= parking.totalSpots) {
-    return next(new AppError(400, 'Parking is not available for the selected time slot'));
+  if (hold && !(await claimHold(hold))) {
+    return next(new AppError(400, 'This hold has expired or was already used'));
   }
 
-  // Calculate total amount
-  const totalAmount = parking.pricePerHour * duration;
-
-  // Create booking
-  const booking = await Booking.create({
-    user: req.user.id,
-    parking: parkingId,
-    startTime: startTimeDate,
-    duration,
-    totalAmount,
-    paymentMethod: paymentMethod || 'cash',
-    notes,
-    status: paymentMethod === 'cash' ? 'confirmed' : 'pending'
-  });
+  // Checks availability, prices the window, reserves capacity and charges the wallet
+  let booking;
+  try {
+    booking = await placeBooking({
+      userId: req.user.id,
+      parking,
+      bookingWindow,
+      paymentMethod,
+      notes,
+      spotId: hold ? hold.spot : spotId,
+      promoCode,
+      holdId: hold ? hold._id : undefined,
+      heldSpotId: hold ? hold.spot : undefined,
+      vehicleId
+    });
+  } catch (error) {
+    // Keep the hold so the driver can retry until it expires
+    if (hold) await restoreHold(hold);
+    throw error;
+  }
 
-  // Generate QR code
-  booking.generateQRCode();
-  await booking.save();
+  if (hold) {
+    hold.status = 'converted';
+    hold.booking = booking._id;
+    await hold.save();
+  }
 
   // Populate booking data
   await booking.populate('parking', 'name address city zone type pricePerHour owner');
   await booking.populate('user', 'name email phone');
+  await booking.populate('spot', 'label level sizeClass hasEvCharger isAccessible');
+  await booking.populate('vehicle', 'plate country make sizeClass isElectric');
 
   // ✅ Send notification to parking owner
   try {
     const notification = await Notification.create({
       user: parking.owner,
       title: 'تم استلام حجز جديد! 🎉',
-      message: `لديك حجز جديد لـ ${parking.name}. السائق: ${booking.user.name}, وقت البدء: ${new Date(booking.startTime).toLocaleString()}, المدة: ${duration} ساعة`,
+      message: `لديك حجز جديد لـ ${parking.name}. السائق: ${booking.user.name}, وقت البدء: ${new Date(booking.startTime).toLocaleString()}, المدة: ${formatDurationAr(bookingWindow.durationMinutes)}${booking.spot ? `, المكان: ${booking.spot.label}` : ''}`,
       type: 'booking_created',
       relatedBooking: booking._id,
       metadata: {
         parkingId: parking._id,
         parkingName: parking.name,
         driverName: booking.user.name,
+        spotLabel: booking.spot ? booking.spot.label : null,
+        plate: booking.plate || null,
         startTime: booking.startTime,
         duration: booking.duration,
+        durationMinutes: bookingWindow.durationMinutes,
         totalAmount: booking.totalAmount,
       }
     });
@@ -87,24 +133,33 @@ exports.createBooking = catchAsync(async (req, res, next) => {
     console.error('Failed to send notification to owner:', notificationError);
   }
 
+  // Card bookings stay pending until the payment intent succeeds
+  const payment = await startCardPayment(booking);
+
   res.status(201).json({
     success: true,
     message: 'Booking created successfully',
     data: booking,
+    payment,
   });
 });
 
 // Get user's bookings
 exports.getUserBookings = catchAsync(async (req, res, next) => {
-  const { status, page = 1, limit = 10 } = req.query;
+  const { status, series, page = 1, limit = 10 } = req.query;
 
   const filter = { user: req.user.id };
   if (status && status !== 'all') {
     filter.status = status;
   }
+  if (series) {
+    filter.series = series;
+  }
 
   const bookings = await Booking.find(filter)
     .populate('parking', 'name address city zone type images pricePerHour')
+    .populate('spot', 'label level')
+    .populate('series', 'recurrence status')
     .sort({ createdAt: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit);
@@ -120,11 +175,14 @@ exports.getUserBookings = catchAsync(async (req, res, next) => {
   });
 });
 
-// Get booking by ID
+// Get booking by ID (includes the status history)
 exports.getBookingById = catchAsync(async (req, res, next) => {
   const booking = await Booking.findById(req.params.id)
     .populate('parking', 'name address city zone type images pricePerHour owner')
-    .populate('user', 'name email phone');
+    .populate('user', 'name email phone')
+    .populate('spot', 'label level sizeClass hasEvCharger isAccessible')
+    .populate('vehicle', 'plate country make sizeClass isElectric')
+    .populate('statusHistory.actor', 'name role');
 
   if (!booking) {
     return next(new AppError(404, 'Booking not found'));
@@ -143,38 +201,27 @@ exports.getBookingById = catchAsync(async (req, res, next) => {
 });
 
 // Update booking status
+// Allowed transitions and who may trigger them are defined in utils/bookingStateMachine
 exports.updateBookingStatus = catchAsync(async (req, res, next) => {
-  const { status } = req.body;
-  const allowedStatuses = ['confirmed', 'active', 'completed', 'cancelled'];
+  const { status, reason } = req.body;
 
-  if (!allowedStatuses.includes(status)) {
-    return next(new AppError(400, 'Invalid status'));
+  if (!status) {
+    return next(new AppError(400, 'Status is required'));
   }
 
-  const booking = await Booking.findById(req.params.id);
+  const booking = await Booking.findById(req.params.id)
+    .populate('parking', 'owner name pricePerHour pricing');
   if (!booking) {
     return next(new AppError(404, 'Booking not found'));
   }
 
   // Check permissions
-  if (booking.user.toString() !== req.user.id &&
-    !req.user.role.includes('owner')) {
+  const role = getActorRole(booking, req.user.id);
+  if (!role) {
     return next(new AppError(403, 'Access denied to update this booking'));
   }
 
-  booking.status = status;
-
-  // If marking as active, validate start time
-  if (status === 'active') {
-    const now = new Date();
-    const bufferTime = 30 * 60 * 1000; // 30 minutes buffer
-
-    if (booking.startTime > new Date(now.getTime() + bufferTime)) {
-      return next(new AppError(400, 'Cannot activate booking too early'));
-    }
-  }
-
-  await booking.save();
+  await transition(booking, status, { role, userId: req.user.id, reason });
 
   res.status(200).json({
     success: true,
@@ -185,14 +232,20 @@ exports.updateBookingStatus = catchAsync(async (req, res, next) => {
 
 // Extend booking duration
 exports.extendBooking = catchAsync(async (req, res, next) => {
-  const { additionalHours } = req.body;
+  const { additionalHours, additionalMinutes } = req.body;
+
+  // Extensions are made in 15 minute blocks, given in hours or minutes
+  const extensionMinutes = additionalMinutes !== undefined
+    ? parseFloat(additionalMinutes)
+    : parseFloat(additionalHours) * 60;
 
-  if (!additionalHours || additionalHours < 1) {
-    return next(new AppError(400, 'Additional hours must be at least 1'));
+  if (isNaN(extensionMinutes) || extensionMinutes < BOOKING_BLOCK_MINUTES ||
+    extensionMinutes % BOOKING_BLOCK_MINUTES !== 0) {
+    return next(new AppError(400, `Extension must be a multiple of ${BOOKING_BLOCK_MINUTES} minutes`));
   }
 
   const booking = await Booking.findById(req.params.id)
-    .populate('parking', 'pricePerHour totalSpots');
+    .populate('parking', 'pricePerHour pricing totalSpots openingHours weeklyHours closures timezone');
 
   if (!booking) {
     return next(new AppError(404, 'Booking not found'));
@@ -207,41 +260,195 @@ exports.extendBooking = catchAsync(async (req, res, next) => {
   }
 
   // Check availability for extension
-  const newEndTime = new Date(booking.endTime.getTime() + additionalHours * 60 * 60 * 1000);
+  const newEndTime = new Date(booking.endTime.getTime() + extensionMinutes * 60 * 1000);
+
+  const closedReason = getClosedReason(booking.parking, booking.endTime, newEndTime);
+  if (closedReason) {
+    return next(new AppError(400, closedReason));
+  }
+
   const conflictingBookings = await Booking.checkAvailability(
     booking.parking._id,
     booking.endTime,
-    additionalHours
+    newEndTime
   );
 
   if (conflictingBookings >= booking.parking.totalSpots) {
     return next(new AppError(400, 'Parking not available for extension time'));
   }
 
-  // Calculate additional cost
-  const additionalAmount = booking.parking.pricePerHour * additionalHours;
+  // Reserve the extra time atomically (the assigned spot must stay free too)
+  const parkingSlots = await reserveParking(booking.parking, booking._id, booking.endTime, newEndTime);
+  if (!parkingSlots) {
+    return next(new AppError(400, 'Parking not available for extension time'));
+  }
+
+  let spotSlots = [];
+  if (booking.spot) {
+    spotSlots = await reserveSpot(booking.spot, booking._id, booking.endTime, newEndTime);
+    if (!spotSlots) {
+      await undoReservation(booking.parking._id, booking._id, parkingSlots);
+      return next(new AppError(400, 'Assigned spot is not available for extension time'));
+    }
+  }
+
+  // Calculate additional cost as the difference between the extended and the current window,
+  // so first-hour pricing and the daily maximum stay correct
+  const currentQuote = quotePrice(booking.parking, booking.startTime, booking.endTime);
+  const extendedQuote = quotePrice(booking.parking, booking.startTime, newEndTime);
+  const additionalAmount = Math.max(0, extendedQuote.total - currentQuote.total);
 
   // Update booking
   if (!booking.originalEndTime) {
     booking.originalEndTime = booking.endTime;
   }
 
-  booking.duration += additionalHours;
+  booking.duration += extensionMinutes / 60;
   booking.endTime = newEndTime;
   booking.totalAmount += additionalAmount;
+  booking.priceBreakdown = extendedQuote.lines;
   booking.extended = true;
+  booking.extensions.push({ minutes: extensionMinutes, amount: additionalAmount });
 
-  await booking.save();
+  // The code carries the booking window, so the longer booking gets a new one
+  const previousQrCode = { tokenId: booking.qrTokenId, expiresAt: booking.qrExpiresAt };
+  booking.generateQRCode();
+
+  const chargeWallet = booking.paymentMethod === 'wallet' && booking.paymentStatus === 'paid' && additionalAmount > 0;
+  // A paid card booking owes the extension until it is paid with POST /payments/intents
+  if (booking.paymentMethod === 'card' && booking.paymentStatus === 'paid') {
+    booking.amountDue = (booking.amountDue || 0) + additionalAmount;
+  }
+
+  try {
+    if (chargeWallet) {
+      await debitWallet(booking.user, additionalAmount, {
+        type: 'booking_payment',
+        booking: booking._id,
+        description: `Extension by ${extensionMinutes} minutes`,
+      });
+    }
+
+    try {
+      await booking.save();
+    } catch (error) {
+      if (chargeWallet) await refundBookingPayment(booking, additionalAmount, 'Extension could not be saved');
+      throw error;
+    }
+  } catch (error) {
+    await undoReservation(booking.parking._id, booking._id, parkingSlots);
+    if (booking.spot) await undoReservation(booking.spot, booking._id, spotSlots);
+    throw error;
+  }
+
+  await revokeQrToken(booking, 'rotated', previousQrCode);
 
   res.status(200).json({
     success: true,
-    message: `Booking extended by ${additionalHours} hours`,
+    message: `Booking extended by ${extensionMinutes} minutes`,
     data: booking,
   });
 });
 
-// Cancel booking
-exports.cancelBooking = catchAsync(async (req, res, next) => {
+// Move a booking to another start time and/or duration
+exports.rescheduleBooking = catchAsync(async (req, res, next) => {
+  const { startTime, duration, durationMinutes, endTime } = req.body;
+
+  if (!startTime && !duration && !durationMinutes && !endTime) {
+    return next(new AppError(400, 'A new start time, duration or end time is required'));
+  }
+
+  const booking = await Booking.findById(req.params.id)
+    .populate('parking', 'name owner pricePerHour pricing totalSpots openingHours weeklyHours closures timezone');
+
+  if (!booking) {
+    return next(new AppError(404, 'Booking not found'));
+  }
+
+  if (booking.user.toString() !== req.user.id) {
+    return next(new AppError(403, 'Access denied to reschedule this booking'));
+  }
+
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    return next(new AppError(400, 'Can only reschedule pending or confirmed bookings'));
+  }
+
+  if (booking.startTime <= new Date()) {
+    return next(new AppError(400, 'Cannot reschedule a booking that has already started'));
+  }
+
+  // Missing values keep the current start time or duration
+  const bookingWindow = resolveBookingWindow({
+    startTime: startTime || booking.startTime,
+    duration: duration || (!durationMinutes && !endTime ? booking.duration : undefined),
+    durationMinutes,
+    endTime,
+  });
+
+  if (startsInPast(bookingWindow.startTime)) {
+    return next(new AppError(400, 'New start time must be in the future'));
+  }
+
+  if (bookingWindow.startTime.getTime() === booking.startTime.getTime() &&
+    bookingWindow.endTime.getTime() === booking.endTime.getTime()) {
+    return next(new AppError(400, 'The booking is already at this time'));
+  }
+
+  const previousStartTime = booking.startTime;
+  const previousEndTime = booking.endTime;
+  const parking = booking.parking;
+
+  // Reserves the new window atomically, then settles the price difference
+  const amountDifference = await moveBooking(booking, parking, bookingWindow);
+
+  // Unpaid card bookings pay the new total, paid ones only the extra amount
+  const payment = await startCardPayment(booking);
+
+  // The old time is free again for drivers on the waitlist
+  try {
+    await offerFreedCapacity(parking._id, previousStartTime, previousEndTime);
+  } catch (waitlistError) {
+    console.error('Failed to offer freed capacity to the waitlist:', waitlistError);
+  }
+
+  await booking.populate('user', 'name email phone');
+  await booking.populate('spot', 'label level sizeClass hasEvCharger isAccessible');
+
+  // ✅ Send notification to parking owner
+  try {
+    await Notification.create({
+      user: parking.owner,
+      title: 'تم تغيير موعد حجز 🔄',
+      message: `غيّر ${booking.user.name} موعد حجزه في ${parking.name} من ${previousStartTime.toLocaleString()} إلى ${booking.startTime.toLocaleString()}، المدة: ${formatDurationAr(bookingWindow.durationMinutes)}${booking.spot ? `, المكان: ${booking.spot.label}` : ''}`,
+      type: 'booking_rescheduled',
+      relatedBooking: booking._id,
+      metadata: {
+        parkingId: parking._id,
+        parkingName: parking.name,
+        driverName: booking.user.name,
+        previousStartTime,
+        previousEndTime,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        totalAmount: booking.totalAmount,
+        amountDifference,
+      }
+    });
+  } catch (notificationError) {
+    console.error('Failed to send notification to owner:', notificationError);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Booking rescheduled successfully',
+    data: booking,
+    amountDifference,
+    payment,
+  });
+});
+
+// Replace the booking's QR code (e.g. after sharing a screenshot); the old code stops working
+exports.rotateQrCode = catchAsync(async (req, res, next) => {
   const booking = await Booking.findById(req.params.id);
 
   if (!booking) {
@@ -249,28 +456,76 @@ exports.cancelBooking = catchAsync(async (req, res, next) => {
   }
 
   if (booking.user.toString() !== req.user.id) {
-    return next(new AppError(403, 'Access denied to cancel this booking'));
+    return next(new AppError(403, 'Access denied to this booking'));
   }
 
-  // Check if booking can be cancelled (e.g., not too close to start time)
-  const now = new Date();
-  const hoursUntilStart = (booking.startTime - now) / (1000 * 60 * 60);
+  if (!['pending', 'confirmed', 'active'].includes(booking.status)) {
+    return next(new AppError(400, 'Cannot change the QR code of a booking in current status'));
+  }
 
-  if (hoursUntilStart < 1) {
-    return next(new AppError(400, 'Cannot cancel booking less than 1 hour before start time'));
+  const previousQrCode = { tokenId: booking.qrTokenId, expiresAt: booking.qrExpiresAt };
+  booking.generateQRCode();
+  await booking.save();
+  await revokeQrToken(booking, 'rotated', previousQrCode);
+
+  res.status(200).json({
+    success: true,
+    message: 'QR code replaced',
+    data: {
+      qrCode: booking.qrCode,
+      qrExpiresAt: booking.qrExpiresAt,
+    },
+  });
+});
+
+// Cancel booking
+exports.cancelBooking = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new AppError(404, 'Booking not found'));
+  }
+
+  if (booking.user.toString() !== req.user.id) {
+    return next(new AppError(403, 'Access denied to cancel this booking'));
   }
 
   if (!['pending', 'confirmed'].includes(booking.status)) {
     return next(new AppError(400, 'Cannot cancel booking in current status'));
   }
 
-  booking.status = 'cancelled';
-  await booking.save();
+  // The state machine refuses started bookings and charges the cancellation policy fee
+  await transition(booking, 'cancelled', { role: 'driver', userId: req.user.id, reason: req.body.reason });
 
   res.status(200).json({
     success: true,
     message: 'Booking cancelled successfully',
     data: booking,
+    refund: booking.cancellation,
+  });
+});
+
+// Preview the cancellation fee and refund before cancelling
+exports.getCancellationQuote = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id)
+    .populate('parking', 'owner name cancellationPolicy');
+
+  if (!booking) {
+    return next(new AppError(404, 'Booking not found'));
+  }
+
+  const role = getActorRole(booking, req.user.id);
+  if (!role) {
+    return next(new AppError(403, 'Access denied to this booking'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      canCancel: ['pending', 'confirmed'].includes(booking.status),
+      policy: booking.parking.cancellationPolicy,
+      ...getCancellationTerms(booking, booking.parking, { role }),
+    },
   });
 });
 
@@ -290,6 +545,7 @@ exports.getOwnerBookings = catchAsync(async (req, res, next) => {
   const bookings = await Booking.find(filter)
     .populate('parking', 'name address zone type')
     .populate('user', 'name email phone')
+    .populate('spot', 'label level')
     .sort({ createdAt: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit);
@@ -306,37 +562,70 @@ exports.getOwnerBookings = catchAsync(async (req, res, next) => {
 });
 
 // Scan QR code and validate booking
+// Attendant scans a QR code or reads the plate at the entry (starts the timer) or exit (completes the booking)
 exports.scanBooking = catchAsync(async (req, res, next) => {
-  const { qrCode } = req.body;
+  const { qrCode, plate, parkingId, direction } = req.body;
 
-  if (!qrCode) {
-    return next(new AppError(400, 'QR code is required'));
+  if (!qrCode && !plate) {
+    return next(new AppError(400, 'QR code or plate number is required'));
   }
 
-  const booking = await Booking.findOne({ qrCode })
-    .populate('parking')
-    .populate('user', 'name phone');
-
-  if (!booking) {
-    return next(new AppError(404, 'Invalid QR code'));
+  if (direction && !['entry', 'exit'].includes(direction)) {
+    return next(new AppError(400, 'Direction must be entry or exit'));
   }
 
-  // Check if user owns the parking
-  if (booking.parking.owner.toString() !== req.user.id) {
-    return next(new AppError(403, 'Access denied to scan this booking'));
+  const scan = await processScan({ qrCode, plate, parkingId, direction, attendantId: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    data: scan,
+  });
+});
+
+// Look up today's bookings of a plate in the owner's parkings (?plate=&parkingId=)
+exports.getBookingsByPlate = catchAsync(async (req, res, next) => {
+  const { plate: rawPlate, parkingId } = req.query;
+
+  const { plate, bookings } = await findTodaysBookingsByPlate(rawPlate, { ownerId: req.user.id, parkingId });
+
+  res.status(200).json({
+    success: true,
+    plate,
+    count: bookings.length,
+    data: bookings,
+  });
+});
+
+// Scan log of a parking: every entry and exit scan with the attendant or gate that made it
+exports.getParkingScans = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+  const { result, direction, page = 1, limit = 20 } = req.query;
+
+  const filter = { parking: parking._id };
+  if (result && result !== 'all') {
+    filter.result = result;
+  }
+  if (direction) {
+    filter.direction = direction;
   }
 
-  const now = new Date();
-  const isActive = booking.startTime <= now && booking.endTime >= now;
+  const scans = await ScanLog.find(filter)
+    .populate('attendant', 'name')
+    .populate('gate', 'name')
+    .populate('booking', 'startTime endTime status')
+    .populate('pass', 'status')
+    .sort({ scannedAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await ScanLog.countDocuments(filter);
 
   res.status(200).json({
     success: true,
-    data: {
-      booking,
-      isValid: isActive && booking.status === 'active',
-      currentTime: now,
-      message: isActive ? 'Booking is valid' : 'Booking is not active'
-    },
+    count: scans.length,
+    total,
+    pages: Math.ceil(total / limit),
+    data: scans,
   });
 });
 
@@ -358,7 +647,7 @@ exports.getBookingsByParking = catchAsync(async (req, res, next) => {
 // Driver marks themselves as arrived
 exports.markAsArrived = catchAsync(async (req, res, next) => {
   const booking = await Booking.findById(req.params.id)
-    .populate('parking', 'name address');
+    .populate('parking', 'name address checkInPolicy');
 
   if (!booking) {
     return next(new AppError(404, 'Booking not found'));
@@ -371,11 +660,11 @@ exports.markAsArrived = catchAsync(async (req, res, next) => {
 
   // Validate if booking can be marked as arrived
   const now = new Date();
-  const bufferTime = 30 * 60 * 1000; // 30 minutes buffer
+  const { opensAt, earlyArrivalMinutes } = getArrivalWindow(booking, booking.parking);
 
-  // Can mark as arrived up to 30 minutes before start time
-  if (booking.startTime > new Date(now.getTime() + bufferTime)) {
-    return next(new AppError(400, 'Cannot mark as arrived more than 30 minutes before start time'));
+  // Can mark as arrived from the parking's early arrival window (30 minutes by default)
+  if (now < opensAt) {
+    return next(new AppError(400, `Cannot mark as arrived more than ${earlyArrivalMinutes} minutes before start time`));
   }
 
   // Can only mark confirmed bookings as arrived
@@ -430,41 +719,12 @@ exports.confirmBooking = catchAsync(async (req, res, next) => {
     return next(new AppError(400, 'Can only confirm bookings with confirmed status'));
   }
 
-  const now = new Date();
-
-  // Validate time (can confirm up to 30 minutes before start time)
-  if (booking.startTime > new Date(now.getTime() + (30 * 60 * 1000))) {
-    return next(new AppError(400, 'Cannot confirm booking more than 30 minutes before start time'));
-  }
-
-  // ✅ START THE TIMER - Record actual start time
-  booking.isConfirmed = true;
-  booking.status = 'active';
-  booking.actualStartTime = now; // Record when parking actually starts
-  
-  await booking.save();
+  // ✅ START THE TIMER - activation records the actual start time
+  // (can confirm up to 30 minutes before start time)
+  await transition(booking, 'active', { role: 'owner', userId: req.user.id, reason: 'Confirmed by owner' });
 
   // ✅ Send notification to driver
-  try {
-    const notification = await Notification.create({
-      user: booking.user._id,
-      title: 'تم تأكيد الحجز! ✅',
-      message: `تم تأكيد حجزك في ${booking.parking.name}. بدأ وقت الانتظار الآن.`,
-      type: 'booking_confirmed',
-      relatedBooking: booking._id,
-      metadata: {
-        parkingId: booking.parking._id,
-        parkingName: booking.parking.name,
-        isConfirmed: true,
-        actualStartTime: booking.actualStartTime,
-      }
-    });
-
-    console.log('📧 Booking confirmation notification sent to driver');
-
-  } catch (notificationError) {
-    console.error('Failed to send confirmation notification:', notificationError);
-  }
+  await notifyCheckedIn(booking);
 
   res.status(200).json({
     success: true,
@@ -473,9 +733,9 @@ exports.confirmBooking = catchAsync(async (req, res, next) => {
       ...booking.toObject(),
       timerInfo: {
         actualStartTime: booking.actualStartTime,
-        bookedDuration: booking.duration * 60, // in minutes
+        bookedDuration: booking.durationMinutes, // in minutes
         elapsedTime: 0, // Just started
-        remainingTime: booking.duration * 60, // in minutes
+        remainingTime: booking.durationMinutes, // in minutes
       }
     },
   });
@@ -484,7 +744,7 @@ exports.confirmBooking = catchAsync(async (req, res, next) => {
 // ✅ Complete booking and calculate final charges
 exports.completeBooking = catchAsync(async (req, res, next) => {
   const booking = await Booking.findById(req.params.id)
-    .populate('parking', 'owner name pricePerHour');
+    .populate('parking', 'owner name pricePerHour pricing');
 
   if (!booking) {
     return next(new AppError(404, 'Booking not found'));
@@ -503,62 +763,54 @@ exports.completeBooking = catchAsync(async (req, res, next) => {
     return next(new AppError(400, 'Booking has no actual start time'));
   }
 
-  const now = new Date();
-  
-  // Calculate actual duration
-  booking.actualEndTime = now;
-  booking.actualDuration = Math.floor((now - booking.actualStartTime) / (1000 * 60)); // in minutes
+  // Completion records the actual duration and overstay charges, and issues the invoice
+  await transition(booking, 'completed', { role: 'owner', userId: req.user.id, reason: 'Completed by owner' });
 
-  // Calculate overstay charges if applicable
-  if (booking.isOverstayed) {
-    await booking.calculateOverstayCharge();
-  }
+  // Send notification to driver
+  await notifyCompleted(booking);
 
-  booking.status = 'completed';
-  await booking.save();
+  res.status(200).json({
+    success: true,
+    message: 'Booking completed successfully',
+    data: {
+      ...booking.toObject(),
+      summary: await getCompletionSummary(booking),
+    },
+  });
+});
 
-  // Send notification to driver
-  try {
-    const overstayMessage = booking.overstayCharge > 0
-      ? ` تجاوزت الوقت المحجوز بـ ${booking.overstayDuration} دقيقة. رسوم إضافية: ${booking.overstayCharge.toFixed(2)} درهم.`
-      : '';
+// Get the invoice of a completed booking as JSON or PDF (?format=pdf, ?lang=ar|en)
+exports.getBookingInvoice = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id)
+    .populate('parking', 'owner');
 
-    await Notification.create({
-      user: booking.user,
-      title: 'اكتمل الحجز! 🏁',
-      message: `اكتمل حجزك في ${booking.parking.name}. المدة الفعلية: ${booking.actualDuration} دقيقة.${overstayMessage}`,
-      type: 'booking_completed',
-      relatedBooking: booking._id,
-      metadata: {
-        parkingId: booking.parking._id,
-        parkingName: booking.parking.name,
-        actualDuration: booking.actualDuration,
-        overstayDuration: booking.overstayDuration,
-        overstayCharge: booking.overstayCharge,
-        totalAmount: booking.totalAmount + booking.overstayCharge,
-      }
-    });
+  if (!booking) {
+    return next(new AppError(404, 'Booking not found'));
+  }
 
-    console.log('📧 Booking completion notification sent to driver');
+  if (!getActorRole(booking, req.user.id)) {
+    return next(new AppError(403, 'Access denied to this invoice'));
+  }
 
-  } catch (notificationError) {
-    console.error('Failed to send completion notification:', notificationError);
+  if (booking.status !== 'completed') {
+    return next(new AppError(400, 'Invoices are only available for completed bookings'));
+  }
+
+  const invoice = await issueInvoice(booking);
+  const lang = getInvoiceLanguage(req.query.lang);
+
+  if (req.query.format === 'pdf') {
+    const pdf = await renderInvoicePdf(invoice, lang);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+    });
+    return res.status(200).send(pdf);
   }
 
   res.status(200).json({
     success: true,
-    message: 'Booking completed successfully',
-    data: {
-      ...booking.toObject(),
-      summary: {
-        actualDuration: booking.actualDuration,
-        bookedDuration: booking.duration * 60,
-        overstayDuration: booking.overstayDuration,
-        originalAmount: booking.totalAmount,
-        overstayCharge: booking.overstayCharge,
-        finalAmount: booking.totalAmount + booking.overstayCharge,
-      }
-    },
+    data: formatInvoice(invoice, lang),
   });
 });
 
@@ -582,7 +834,7 @@ exports.getBookingStatus = catchAsync(async (req, res, next) => {
   const timerInfo = {
     actualStartTime: booking.actualStartTime,
     actualEndTime: booking.actualEndTime,
-    bookedDuration: booking.duration * 60, // in minutes
+    bookedDuration: booking.durationMinutes, // in minutes
     elapsedTime: booking.elapsedTime, // in minutes
     remainingTime: booking.remainingTime, // in minutes
     isOverstayed: booking.isOverstayed,
@@ -0,0 +1,78 @@
+// controllers/bookingHoldController.js
+const BookingHold = require('../models/BookingHold');
+const Parking = require('../models/Parking');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { resolveBookingWindow } = require('../utils/bookingUtils');
+const { quotePrice } = require('../utils/pricing');
+const { createHold, freeHold, HOLD_MINUTES } = require('../utils/bookingHolds');
+
+// 🟢 Driver: hold a slot for a few minutes while paying (book it with POST /bookings and `holdId`)
+exports.createBookingHold = catchAsync(async (req, res, next) => {
+  const { parkingId, startTime, duration, durationMinutes, endTime, spotId } = req.body;
+
+  if (!parkingId || !startTime || (!duration && !durationMinutes && !endTime)) {
+    return next(new AppError(400, 'Parking ID, start time, and duration or end time are required'));
+  }
+
+  const bookingWindow = resolveBookingWindow({ startTime, duration, durationMinutes, endTime });
+
+  const parking = await Parking.findById(parkingId);
+  if (!parking) {
+    return next(new AppError(404, 'Parking not found'));
+  }
+
+  if (!parking.isAvailable) {
+    return next(new AppError(400, 'Parking is not available for booking'));
+  }
+
+  const hold = await createHold({ userId: req.user.id, parking, bookingWindow, spotId });
+  await hold.populate('spot', 'label level sizeClass hasEvCharger isAccessible');
+
+  res.status(201).json({
+    success: true,
+    message: `Slot held for ${HOLD_MINUTES} minutes`,
+    data: hold,
+    quote: quotePrice(parking, hold.startTime, hold.endTime),
+  });
+});
+
+// 🟢 Driver: get a hold (e.g. to show the remaining time)
+exports.getBookingHold = catchAsync(async (req, res, next) => {
+  const hold = await BookingHold.findOne({ _id: req.params.holdId, user: req.user.id })
+    .populate('parking', 'name address city')
+    .populate('spot', 'label level');
+
+  if (!hold) {
+    return next(new AppError(404, 'Hold not found'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: hold,
+    secondsLeft: hold.status === 'active'
+      ? Math.max(0, Math.floor((hold.expiresAt - Date.now()) / 1000))
+      : 0,
+  });
+});
+
+// 🟢 Driver: give a hold back before it expires
+exports.releaseBookingHold = catchAsync(async (req, res, next) => {
+  const hold = await BookingHold.findOneAndUpdate(
+    { _id: req.params.holdId, user: req.user.id, status: 'active' },
+    { $set: { status: 'released' } },
+    { new: true }
+  );
+
+  if (!hold) {
+    return next(new AppError(404, 'Active hold not found'));
+  }
+
+  await freeHold(hold);
+
+  res.status(200).json({
+    success: true,
+    message: 'Hold released',
+    data: hold,
+  });
+});
@@ -0,0 +1,263 @@
+// controllers/bookingSeriesController.js
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const Parking = require('../models/Parking');
+const Notification = require('../models/Notification');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { resolveRecurrence, getOccurrences } = require('../utils/bookingSeries');
+const { getBookingConflict, placeBooking, discardBooking } = require('../utils/bookingPlacement');
+const { transition } = require('../utils/bookingStateMachine');
+
+const SERIES_PAYMENT_METHODS = ['cash', 'wallet'];
+
+// Occurrences that cannot be booked, with the reason
+const findConflicts = async (parking, occurrences, spotId) => {
+  const now = new Date();
+  const conflicts = [];
+
+  for (const occurrence of occurrences) {
+    const reason = occurrence.startTime <= now
+      ? 'Start time is in the past'
+      : await getBookingConflict(parking, occurrence.startTime, occurrence.endTime, { spotId });
+
+    if (reason) {
+      conflicts.push({ startTime: occurrence.startTime, endTime: occurrence.endTime, reason });
+    }
+  }
+
+  return conflicts;
+};
+
+// 🟢 Driver: book the same time range on several days at once
+exports.createBookingSeries = catchAsync(async (req, res, next) => {
+  const { parkingId, recurrence, paymentMethod = 'cash', notes, spotId, vehicleId, skipConflicts = false, dryRun = false } = req.body;
+
+  if (!parkingId || !recurrence) {
+    return next(new AppError(400, 'Parking ID and recurrence are required'));
+  }
+
+  // Card payments expire while pending, so a series is paid in cash or from the wallet
+  if (!SERIES_PAYMENT_METHODS.includes(paymentMethod)) {
+    return next(new AppError(400, 'Recurring bookings can be paid in cash or from the wallet'));
+  }
+
+  const rule = resolveRecurrence(recurrence);
+
+  const parking = await Parking.findById(parkingId);
+  if (!parking) {
+    return next(new AppError(404, 'Parking not found'));
+  }
+
+  const occurrences = getOccurrences(rule, parking);
+
+  if (!parking.isAvailable) {
+    return next(new AppError(400, 'Parking is not available for booking'));
+  }
+
+  const conflicts = await findConflicts(parking, occurrences, spotId);
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        occurrences: occurrences.map(({ startTime, endTime }) => ({ startTime, endTime })),
+        conflicts,
+      },
+    });
+  }
+
+  if (conflicts.length > 0 && !skipConflicts) {
+    return res.status(409).json({
+      success: false,
+      message: `${conflicts.length} of ${occurrences.length} bookings conflict. Change the recurrence or skip the conflicting dates.`,
+      conflicts,
+    });
+  }
+
+  if (conflicts.length === occurrences.length) {
+    return next(new AppError(400, 'None of the bookings in this series are available'));
+  }
+
+  const series = await BookingSeries.create({
+    user: req.user.id,
+    parking: parking._id,
+    recurrence: rule,
+    paymentMethod,
+    notes,
+  });
+
+  // Place every free occurrence; capacity can still change between the check and the reservation
+  const conflictStarts = new Set(conflicts.map(conflict => conflict.startTime.getTime()));
+  const bookings = [];
+  const skipped = [...conflicts];
+
+  const discardSeries = async () => {
+    for (const booking of bookings) {
+      await discardBooking(booking);
+    }
+    await BookingSeries.deleteOne({ _id: series._id });
+  };
+
+  for (const occurrence of occurrences) {
+    if (conflictStarts.has(occurrence.startTime.getTime())) continue;
+
+    try {
+      bookings.push(await placeBooking({
+        userId: req.user.id,
+        parking,
+        bookingWindow: occurrence,
+        paymentMethod,
+        notes,
+        spotId,
+        vehicleId,
+        series: series._id,
+      }));
+    } catch (error) {
+      if (!error.isOperational) {
+        await discardSeries();
+        throw error;
+      }
+      skipped.push({ startTime: occurrence.startTime, endTime: occurrence.endTime, reason: error.message });
+      if (!skipConflicts) break;
+    }
+  }
+
+  // All or nothing unless the driver agreed to skip conflicting dates
+  if (bookings.length === 0 || (skipped.length > 0 && !skipConflicts)) {
+    await discardSeries();
+
+    return res.status(409).json({
+      success: false,
+      message: 'The series could not be booked. Change the recurrence or skip the conflicting dates.',
+      conflicts: skipped,
+    });
+  }
+
+  skipped.sort((a, b) => a.startTime - b.startTime);
+  series.skippedOccurrences = skipped;
+  await series.save();
+
+  // ✅ One notification to the parking owner for the whole series
+  try {
+    await Notification.create({
+      user: parking.owner,
+      title: 'تم استلام حجز متكرر جديد! 🔁',
+      message: `لديك ${bookings.length} حجوزات جديدة لـ ${parking.name} من ${rule.startTime} إلى ${rule.endTime}، ابتداءً من ${bookings[0].startTime.toLocaleDateString()}.`,
+      type: 'booking_created',
+      relatedBooking: bookings[0]._id,
+      metadata: {
+        parkingId: parking._id,
+        parkingName: parking.name,
+        seriesId: series._id,
+        bookingsCount: bookings.length,
+        startTime: bookings[0].startTime,
+      }
+    });
+  } catch (notificationError) {
+    console.error('Failed to send notification to owner:', notificationError);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${bookings.length} bookings created successfully`,
+    data: {
+      series,
+      bookings,
+      conflicts: skipped,
+    },
+  });
+});
+
+// 🟢 Driver: get my recurring series
+exports.getMySeries = catchAsync(async (req, res, next) => {
+  const { status } = req.query;
+
+  const filter = { user: req.user.id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const series = await BookingSeries.find(filter)
+    .populate('parking', 'name address city')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: series.length,
+    data: series,
+  });
+});
+
+// 🟢 Driver: get a series with its bookings
+exports.getSeriesById = catchAsync(async (req, res, next) => {
+  const series = await BookingSeries.findOne({ _id: req.params.id, user: req.user.id })
+    .populate('parking', 'name address city');
+
+  if (!series) {
+    return next(new AppError(404, 'Booking series not found'));
+  }
+
+  const bookings = await Booking.find({ series: series._id })
+    .populate('spot', 'label level')
+    .sort({ startTime: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      series,
+      bookings,
+    },
+  });
+});
+
+// 🟢 Driver: cancel every upcoming booking of a series (single dates use PATCH /bookings/:id/cancel)
+exports.cancelSeries = catchAsync(async (req, res, next) => {
+  const series = await BookingSeries.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!series) {
+    return next(new AppError(404, 'Booking series not found'));
+  }
+
+  if (series.status === 'cancelled') {
+    return next(new AppError(400, 'Booking series is already cancelled'));
+  }
+
+  const upcoming = await Booking.find({
+    series: series._id,
+    status: { $in: ['pending', 'confirmed'] },
+    startTime: { $gt: new Date() },
+  }).sort({ startTime: 1 });
+
+  const cancelled = [];
+  const notCancelled = [];
+
+  for (const booking of upcoming) {
+    try {
+      await transition(booking, 'cancelled', { role: 'driver', userId: req.user.id, reason: req.body.reason || 'Series cancelled' });
+      cancelled.push(booking);
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      notCancelled.push({ booking: booking._id, startTime: booking.startTime, reason: error.message });
+    }
+  }
+
+  // A series with bookings that could not be cancelled stays active, so they remain listed under it
+  if (notCancelled.length === 0) {
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    await series.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: notCancelled.length === 0
+      ? `${cancelled.length} bookings cancelled`
+      : `${cancelled.length} bookings cancelled, ${notCancelled.length} could not be cancelled and the series stays active`,
+    data: {
+      series,
+      cancelled,
+      notCancelled,
+    },
+  });
+});
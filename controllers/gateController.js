@@ -0,0 +1,149 @@
+// controllers/gateController.js
+const GateDevice = require('../models/GateDevice');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { findOwnedParking } = require('../utils/parkingUtils');
+const { processScan } = require('../utils/scanning');
+
+const GATE_FIELDS = ['name', 'direction', 'isActive'];
+
+const pickGateFields = (body) => {
+  const data = {};
+  GATE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+const findOwnedGate = async (req) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const gate = await GateDevice.findOne({ _id: req.params.gateId, parking: parking._id });
+  if (!gate) throw new AppError(404, 'Gate not found');
+
+  return gate;
+};
+
+// 🟠 Owner: gates of a parking
+exports.getParkingGates = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const gates = await GateDevice.find({ parking: parking._id }).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: gates.length,
+    data: gates,
+  });
+});
+
+// 🟠 Owner: register a gate. The API key is only returned here and when it is rotated.
+exports.createGate = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  if (req.body.name && await GateDevice.exists({ parking: parking._id, name: req.body.name.trim() })) {
+    return next(new AppError(400, 'A gate with this name already exists in this parking'));
+  }
+
+  const gate = new GateDevice({ ...pickGateFields(req.body), parking: parking._id });
+  const apiKey = gate.generateApiKey();
+  await gate.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Gate registered successfully. Store the API key now, it will not be shown again.',
+    data: gate,
+    apiKey,
+  });
+});
+
+// 🟠 Owner: rename, change direction or (de)activate a gate
+exports.updateGate = catchAsync(async (req, res, next) => {
+  const gate = await findOwnedGate(req);
+
+  Object.assign(gate, pickGateFields(req.body));
+  await gate.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Gate updated successfully',
+    data: gate,
+  });
+});
+
+// 🟠 Owner: replace a gate's API key, e.g. when a device is lost or replaced
+exports.rotateGateKey = catchAsync(async (req, res, next) => {
+  const gate = await findOwnedGate(req);
+
+  const apiKey = gate.generateApiKey();
+  await gate.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Gate API key rotated. The previous key no longer works.',
+    data: gate,
+    apiKey,
+  });
+});
+
+// 🟠 Owner: remove a gate
+exports.deleteGate = catchAsync(async (req, res, next) => {
+  const gate = await findOwnedGate(req);
+
+  await gate.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Gate deleted successfully',
+  });
+});
+
+// 🚧 Gate: check the device's key and settings
+exports.getCurrentGate = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: req.gate,
+  });
+});
+
+// 🚧 Gate: a QR code or plate was read, should the barrier open?
+// Answers `open` or `deny` with a reason; only unexpected failures are errors.
+exports.gateScan = catchAsync(async (req, res, next) => {
+  const { qrCode, plate } = req.body;
+  const { gate } = req;
+
+  if (!qrCode && !plate) {
+    return next(new AppError(400, 'QR code or plate number is required'));
+  }
+
+  // Gates that serve both ways may tell the direction, otherwise it follows from the booking
+  const direction = gate.direction === 'both' ? req.body.direction : gate.direction;
+  if (direction && !['entry', 'exit'].includes(direction)) {
+    return next(new AppError(400, 'Direction must be entry or exit'));
+  }
+
+  let scan;
+  try {
+    scan = await processScan({ qrCode, plate, direction, gate });
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    return res.status(200).json({
+      success: true,
+      data: { action: 'deny', reason: error.message, direction: direction || null },
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      action: scan.isValid ? 'open' : 'deny',
+      reason: scan.message,
+      direction: scan.direction,
+      booking: scan.booking ? scan.booking._id : null,
+      pass: scan.pass ? scan.pass._id : null,
+      spot: scan.spot ? scan.spot.label : null,
+      summary: scan.summary,
+    },
+  });
+});
@@ -0,0 +1,248 @@
+// controllers/occupancyController.js
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Parking = require('../models/Parking');
+const ParkingSpot = require('../models/ParkingSpot');
+const Booking = require('../models/Booking');
+const OccupancySensor = require('../models/OccupancySensor');
+const OccupancyReading = require('../models/OccupancyReading');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { findOwnedParking } = require('../utils/parkingUtils');
+const { getSensorOccupancy, validateReading, recordReading } = require('../utils/occupancy');
+
+const SENSOR_FIELDS = ['name', 'isActive'];
+const MAX_READINGS_PER_REQUEST = 100;
+const MAX_HISTORY_DAYS = 31;
+const HISTORY_INTERVALS = { '15m': 15, hour: 60, day: 24 * 60 };
+
+const pickSensorFields = (body) => {
+  const data = {};
+  SENSOR_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+const findOwnedSensor = async (req) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const sensor = await OccupancySensor.findOne({ _id: req.params.sensorId, parking: parking._id });
+  if (!sensor) throw new AppError(404, 'Sensor not found');
+
+  return sensor;
+};
+
+// 🟠 Owner: sensors of a parking with their latest reading
+exports.getParkingSensors = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const sensors = await OccupancySensor.find({ parking: parking._id })
+    .populate('spot', 'label level')
+    .sort({ type: 1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: sensors.length,
+    data: sensors,
+  });
+});
+
+// 🟠 Owner: register a bay sensor (`type: spot` with `spotId`) or a counter. The API key is only returned here and when rotated.
+exports.createSensor = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+  const { type, spotId } = req.body;
+
+  if (type === 'spot') {
+    const spot = await ParkingSpot.findOne({ _id: spotId, parking: parking._id });
+    if (!spot) return next(new AppError(404, 'Spot not found'));
+
+    if (await OccupancySensor.exists({ spot: spot._id })) {
+      return next(new AppError(400, 'This spot already has a sensor'));
+    }
+  }
+
+  if (req.body.name && await OccupancySensor.exists({ parking: parking._id, name: req.body.name.trim() })) {
+    return next(new AppError(400, 'A sensor with this name already exists in this parking'));
+  }
+
+  const sensor = new OccupancySensor({
+    ...pickSensorFields(req.body),
+    parking: parking._id,
+    type,
+    spot: type === 'spot' ? spotId : undefined,
+  });
+  const apiKey = sensor.generateApiKey();
+  await sensor.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Sensor registered successfully. Store the API key now, it will not be shown again.',
+    data: sensor,
+    apiKey,
+  });
+});
+
+// 🟠 Owner: rename or (de)activate a sensor
+exports.updateSensor = catchAsync(async (req, res, next) => {
+  const sensor = await findOwnedSensor(req);
+
+  Object.assign(sensor, pickSensorFields(req.body));
+  await sensor.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Sensor updated successfully',
+    data: sensor,
+  });
+});
+
+// 🟠 Owner: replace a sensor's API key
+exports.rotateSensorKey = catchAsync(async (req, res, next) => {
+  const sensor = await findOwnedSensor(req);
+
+  const apiKey = sensor.generateApiKey();
+  await sensor.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Sensor API key rotated. The previous key no longer works.',
+    data: sensor,
+    apiKey,
+  });
+});
+
+// 🟠 Owner: remove a sensor (its readings stay in the history)
+exports.deleteSensor = catchAsync(async (req, res, next) => {
+  const sensor = await findOwnedSensor(req);
+
+  await sensor.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Sensor deleted successfully',
+  });
+});
+
+// 📡 Sensor: report one reading, or buffered readings as a `readings` array
+exports.reportReadings = catchAsync(async (req, res, next) => {
+  const readings = Array.isArray(req.body.readings) ? req.body.readings : [req.body];
+
+  if (readings.length === 0 || readings.length > MAX_READINGS_PER_REQUEST) {
+    return next(new AppError(400, `Send between 1 and ${MAX_READINGS_PER_REQUEST} readings`));
+  }
+
+  // Reject the whole batch before storing anything, so the sensor can resend it as is
+  readings.forEach(reading => validateReading(req.sensor, reading || {}));
+
+  // Oldest first so the latest reading ends up as the live state
+  const ordered = [...readings].sort((a, b) => new Date(a.at || Date.now()) - new Date(b.at || Date.now()));
+
+  const stored = [];
+  for (const reading of ordered) {
+    stored.push(await recordReading(req.sensor, reading));
+  }
+
+  res.status(201).json({
+    success: true,
+    count: stored.length,
+    data: {
+      occupied: req.sensor.occupied,
+      occupiedSpots: req.sensor.occupiedSpots,
+      reportedAt: req.sensor.reportedAt,
+    },
+  });
+});
+
+// 📡 Sensor: check the device's key and settings
+exports.getCurrentSensor = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: req.sensor,
+  });
+});
+
+// Live occupied and free spots: from sensors when they reported recently, otherwise from checked-in bookings
+exports.getLiveOccupancy = catchAsync(async (req, res, next) => {
+  const parking = await Parking.findById(req.params.id).select('name totalSpots');
+  if (!parking) {
+    return next(new AppError(404, 'Parking not found'));
+  }
+
+  const sensorOccupancy = await getSensorOccupancy(parking);
+  const checkedIn = await Booking.countDocuments({ parking: parking._id, status: 'active' });
+  const occupiedSpots = sensorOccupancy ? sensorOccupancy.occupiedSpots : Math.min(checkedIn, parking.totalSpots);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      parkingId: parking._id,
+      source: sensorOccupancy ? 'sensors' : 'bookings',
+      occupiedSpots,
+      freeSpots: Math.max(0, parking.totalSpots - occupiedSpots),
+      totalSpots: parking.totalSpots,
+      checkedInBookings: checkedIn,
+      sensors: sensorOccupancy,
+      currentTime: new Date(),
+    },
+  });
+});
+
+// 🟠 Owner: occupancy over time (?from=&to=&interval=15m|hour|day), average and peak per interval
+exports.getOccupancyHistory = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+  const { interval = 'hour' } = req.query;
+
+  const intervalMinutes = HISTORY_INTERVALS[interval];
+  if (!intervalMinutes) {
+    return next(new AppError(400, `Interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}`));
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : moment(to).subtract(1, 'day').toDate();
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    return next(new AppError(400, 'Invalid time range'));
+  }
+  if (moment(to).diff(from, 'days', true) > MAX_HISTORY_DAYS) {
+    return next(new AppError(400, `Time range cannot be longer than ${MAX_HISTORY_DAYS} days`));
+  }
+
+  const bucketMs = intervalMinutes * 60 * 1000;
+  const bucketStart = { $subtract: [{ $toLong: '$at' }, { $mod: [{ $toLong: '$at' }, bucketMs] }] };
+
+  const buckets = await OccupancyReading.aggregate([
+    {
+      $match: {
+        parking: new mongoose.Types.ObjectId(parking._id),
+        at: { $gte: from, $lt: to },
+        parkingOccupiedSpots: { $ne: null },
+      },
+    },
+    {
+      $group: {
+        _id: bucketStart,
+        averageOccupiedSpots: { $avg: '$parkingOccupiedSpots' },
+        peakOccupiedSpots: { $max: '$parkingOccupiedSpots' },
+        readings: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: buckets.length,
+    data: {
+      from,
+      to,
+      interval,
+      totalSpots: parking.totalSpots,
+      series: buckets.map(bucket => ({
+        at: new Date(bucket._id),
+        averageOccupiedSpots: Math.round(bucket.averageOccupiedSpots * 10) / 10,
+        peakOccupiedSpots: bucket.peakOccupiedSpots,
+        readings: bucket.readings,
+      })),
+    },
+  });
+});
@@ -4,6 +4,14 @@ const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/AppError');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../middleware/upload');
 const Booking = require('../models/Booking');
+const ParkingSpot = require('../models/ParkingSpot');
+const PassPlan = require('../models/PassPlan');
+const BookingHold = require('../models/BookingHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getClosedReason, trimToOpeningHours } = require('../utils/openingHours');
+const { quotePrice } = require('../utils/pricing');
+const { resolveBookingWindow } = require('../utils/bookingUtils');
+const { combineWithSensors } = require('../utils/occupancy');
 
 // Create parking
 exports.createParking = catchAsync(async (req, res, next) => {
@@ -23,7 +31,11 @@ exports.createParking = catchAsync(async (req, res, next) => {
         description,
         features,
         openingHours,
+        pricing,
+        cancellationPolicy,
+        checkInPolicy,
         contactPhone,
+        timezone,
     } = req.body;
 
     if (!req.user || !req.user.id) {
@@ -70,6 +82,36 @@ exports.createParking = catchAsync(async (req, res, next) => {
         }
     }
 
+    // Handle pricing rate table
+    let pricingObj = {};
+    if (pricing) {
+        try {
+            pricingObj = typeof pricing === 'string' ? JSON.parse(pricing) : pricing;
+        } catch (error) {
+            return next(new AppError(400, 'Invalid pricing format'));
+        }
+    }
+
+    // Handle cancellation policy
+    let cancellationPolicyObj = {};
+    if (cancellationPolicy) {
+        try {
+            cancellationPolicyObj = typeof cancellationPolicy === 'string' ? JSON.parse(cancellationPolicy) : cancellationPolicy;
+        } catch (error) {
+            return next(new AppError(400, 'Invalid cancellation policy format'));
+        }
+    }
+
+    // Handle check-in policy
+    let checkInPolicyObj = {};
+    if (checkInPolicy) {
+        try {
+            checkInPolicyObj = typeof checkInPolicy === 'string' ? JSON.parse(checkInPolicy) : checkInPolicy;
+        } catch (error) {
+            return next(new AppError(400, 'Invalid check-in policy format'));
+        }
+    }
+
     // Handle uploaded images
     let cloudinaryImages = [];
     if (req.files && req.files.length > 0) {
@@ -101,7 +143,11 @@ exports.createParking = catchAsync(async (req, res, next) => {
         features: featuresArray,
         images: cloudinaryImages,
         openingHours: openingHoursObj,
+        pricing: pricingObj,
+        cancellationPolicy: cancellationPolicyObj,
+        checkInPolicy: checkInPolicyObj,
         contactPhone,
+        timezone,
     });
 
     console.log('Parking created with location:', parking.location);
@@ -197,6 +243,39 @@ exports.updateParking = catchAsync(async (req, res, next) => {
         }
     }
 
+    // Handle pricing rate table
+    let pricingObj = parking.pricing;
+    if (req.body.pricing) {
+        try {
+            pricingObj = typeof req.body.pricing === 'string' ? JSON.parse(req.body.pricing) : req.body.pricing;
+        } catch (error) {
+            return next(new AppError(400, 'Invalid pricing format'));
+        }
+    }
+
+    // Handle cancellation policy
+    let cancellationPolicyObj = parking.cancellationPolicy;
+    if (req.body.cancellationPolicy) {
+        try {
+            cancellationPolicyObj = typeof req.body.cancellationPolicy === 'string'
+                ? JSON.parse(req.body.cancellationPolicy)
+                : req.body.cancellationPolicy;
+        } catch (error) {
+            return next(new AppError(400, 'Invalid cancellation policy format'));
+        }
+    }
+
+    let checkInPolicyObj = parking.checkInPolicy;
+    if (req.body.checkInPolicy) {
+        try {
+            checkInPolicyObj = typeof req.body.checkInPolicy === 'string'
+                ? JSON.parse(req.body.checkInPolicy)
+                : req.body.checkInPolicy;
+        } catch (error) {
+            return next(new AppError(400, 'Invalid check-in policy format'));
+        }
+    }
+
     // Handle location update
     let locationObj = parking.location;
     if (req.body.latitude && req.body.longitude) {
@@ -213,6 +292,12 @@ exports.updateParking = catchAsync(async (req, res, next) => {
         }
     }
 
+    // Capacity is derived from the spot inventory when the parking has one
+    if (req.body.totalSpots && parseInt(req.body.totalSpots) !== parking.totalSpots &&
+        await ParkingSpot.exists({ parking: parking._id })) {
+        return next(new AppError(400, 'Total spots is managed by the spot inventory of this parking'));
+    }
+
     // Update parking fields
     const updateData = {
         name: req.body.name || parking.name,
@@ -227,7 +312,11 @@ exports.updateParking = catchAsync(async (req, res, next) => {
         features: featuresArray,
         images: updatedImages,
         openingHours: openingHoursObj,
+        pricing: pricingObj,
+        cancellationPolicy: cancellationPolicyObj,
+        checkInPolicy: checkInPolicyObj,
         contactPhone: req.body.contactPhone || parking.contactPhone,
+        timezone: req.body.timezone || parking.timezone,
         isPublic: req.body.isPublic,
     };
 
@@ -243,12 +332,180 @@ exports.updateParking = catchAsync(async (req, res, next) => {
     });
 });
 
+// Build the match filter shared by the public parking search
+const buildSearchFilter = (query) => {
+    const { type, zone, features, city, minPrice, maxPrice } = query;
+
+    const filter = { isAvailable: true, isPublic: true };
+
+    if (type) {
+        filter.type = type;
+    }
+
+    if (zone) {
+        filter.zone = zone;
+    }
+
+    if (city) {
+        filter.city = { $regex: city, $options: 'i' };
+    }
+
+    if (features) {
+        const featuresArray = Array.isArray(features)
+            ? features
+            : features.split(',').map(f => f.trim()).filter(Boolean);
+        if (featuresArray.length > 0) {
+            filter.features = { $all: featuresArray };
+        }
+    }
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        filter.pricePerHour = {};
+        if (minPrice !== undefined) filter.pricePerHour.$gte = parseFloat(minPrice);
+        if (maxPrice !== undefined) filter.pricePerHour.$lte = parseFloat(maxPrice);
+    }
+
+    return filter;
+};
+
 // Get all available parkings
+// Supports "near me" search with lat/lng/radius (radius in km, distance returned in km),
+// filters on type, zone, features, price range and city, and pagination.
+// With startTime and duration/durationMinutes/endTime only parkings with free spots in that window are returned.
 exports.getAllParkings = catchAsync(async (req, res, next) => {
-    const parkings = await Parking.find({ isAvailable: true, isPublic: true }).populate('owner', 'name email phone');
+    const { lat, lng, radius = 5, startTime, duration, durationMinutes, endTime, page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = buildSearchFilter(req.query);
+
+    if (filter.pricePerHour && Object.values(filter.pricePerHour).some(isNaN)) {
+        return next(new AppError(400, 'Invalid price range'));
+    }
+
+    const pipeline = [];
+    const isGeoSearch = lat !== undefined || lng !== undefined;
+
+    if (isGeoSearch) {
+        const latNum = parseFloat(lat);
+        const lngNum = parseFloat(lng);
+        const radiusKm = parseFloat(radius);
+
+        if (isNaN(latNum) || isNaN(lngNum)) {
+            return next(new AppError(400, 'Both lat and lng are required for a location search'));
+        }
+
+        if (latNum < -90 || latNum > 90 || lngNum < -180 || lngNum > 180) {
+            return next(new AppError(400, 'Coordinates out of valid range'));
+        }
+
+        if (isNaN(radiusKm) || radiusKm <= 0) {
+            return next(new AppError(400, 'Radius must be a positive number'));
+        }
+
+        // $geoNear must be the first stage and already sorts by distance
+        pipeline.push({
+            $geoNear: {
+                near: { type: 'Point', coordinates: [lngNum, latNum] },
+                distanceField: 'distance',
+                maxDistance: radiusKm * 1000,
+                distanceMultiplier: 0.001,
+                spherical: true,
+                query: filter,
+            }
+        });
+    } else {
+        pipeline.push({ $match: filter }, { $sort: { createdAt: -1 } });
+    }
+
+    // Only keep parkings with free spots for the requested time window
+    if (startTime !== undefined || duration !== undefined || durationMinutes !== undefined || endTime !== undefined) {
+        const searchWindow = resolveBookingWindow({ startTime, duration, durationMinutes, endTime });
+
+        // Spots held for pass holders (plan schedules are evaluated here, not in Mongo), checkout holds
+        // and waitlist offers during the window, as checkAvailability counts them, for the matched parkings
+        const matchedParkings = await Parking.aggregate([...pipeline, { $project: { _id: 1 } }]);
+        const matchedIds = matchedParkings.map(parking => parking._id);
+        const activePlans = await PassPlan.find({ isActive: true, parking: { $in: matchedIds } })
+            .populate('parking', 'timezone');
+        const heldSpots = [
+            ...activePlans
+                .filter(plan => plan.coversWindow(searchWindow.startTime, searchWindow.endTime, plan.parking))
+                .map(plan => ({ parking: plan.parking._id, spots: plan.reservedSpots })),
+            ...await BookingHold.countHoldsByParking(matchedIds, searchWindow.startTime, searchWindow.endTime),
+            ...await WaitlistEntry.countHoldsByParking(matchedIds, searchWindow.startTime, searchWindow.endTime),
+        ];
+
+        pipeline.push(
+            {
+                $lookup: {
+                    from: Booking.collection.name,
+                    let: { parkingId: '$_id' },
+                    pipeline: [
+                        {
+                            $match: {
+                                $expr: { $eq: ['$parking', '$$parkingId'] },
+                                status: { $in: Booking.OCCUPYING_STATUSES },
+                                startTime: { $lt: searchWindow.endTime },
+                                endTime: { $gt: searchWindow.startTime },
+                            }
+                        },
+                        { $count: 'count' },
+                    ],
+                    as: 'overlappingBookings',
+                }
+            },
+            {
+                $addFields: {
+                    availableSpots: {
+                        $subtract: [
+                            '$totalSpots',
+                            {
+                                $add: [
+                                    { $ifNull: [{ $arrayElemAt: ['$overlappingBookings.count', 0] }, 0] },
+                                    {
+                                        $sum: {
+                                            $map: {
+                                                input: {
+                                                    $filter: {
+                                                        input: { $literal: heldSpots },
+                                                        cond: { $eq: ['$$this.parking', '$_id'] },
+                                                    }
+                                                },
+                                                in: '$$this.spots',
+                                            }
+                                        }
+                                    },
+                                ]
+                            },
+                        ]
+                    }
+                }
+            },
+            { $match: { availableSpots: { $gt: 0 } } },
+            { $project: { overlappingBookings: 0 } }
+        );
+    }
+
+    pipeline.push({
+        $facet: {
+            data: [{ $skip: skip }, { $limit: limitNum }],
+            total: [{ $count: 'count' }],
+        }
+    });
+
+    const [result] = await Parking.aggregate(pipeline);
+    const parkings = await Parking.populate(result.data, { path: 'owner', select: 'name email phone' });
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
     res.status(200).json({
         success: true,
         count: parkings.length,
+        total,
+        page: pageNum,
+        pages: Math.ceil(total / limitNum),
         data: parkings,
     });
 });
@@ -286,6 +543,7 @@ exports.deleteParking = catchAsync(async (req, res, next) => {
         }
     }
 
+    await ParkingSpot.deleteMany({ parking: parking._id });
     await parking.deleteOne();
     res.status(200).json({
         success: true,
@@ -327,10 +585,10 @@ exports.deleteParkingImage = catchAsync(async (req, res, next) => {
 
 // Check parking availability
 exports.checkParkingAvailability = catchAsync(async (req, res, next) => {
-    const { startTime, duration } = req.query;
+    const { startTime, duration, durationMinutes, endTime: requestedEndTime, useSensors } = req.query;
     
-    if (!startTime || !duration) {
-        return next(new AppError(400, 'Start time and duration are required'));
+    if (!startTime || (!duration && !durationMinutes && !requestedEndTime)) {
+        return next(new AppError(400, 'Start time and duration or end time are required'));
     }
 
     const parking = await Parking.findById(req.params.id);
@@ -338,28 +596,62 @@ exports.checkParkingAvailability = catchAsync(async (req, res, next) => {
         return next(new AppError(404, 'Parking not found'));
     }
 
-    const startTimeDate = new Date(startTime);
-    const endTime = new Date(startTimeDate.getTime() + duration * 60 * 60 * 1000);
+    const bookingWindow = resolveBookingWindow({ startTime, duration, durationMinutes, endTime: requestedEndTime });
+    const startTimeDate = bookingWindow.startTime;
+    const endTime = bookingWindow.endTime;
 
-    const activeBookings = await Booking.countDocuments({
-        parking: parking._id,
-        status: { $in: ['confirmed', 'active'] },
-        $or: [
-            { startTime: { $lt: endTime }, endTime: { $gt: startTimeDate } }
-        ]
-    });
+    // Counts bookings holding capacity and spots reserved for pass holders
+    const bookedAvailability = await parking.checkAvailability(startTimeDate, endTime);
+    const { reservedSpots } = bookedAvailability;
+
+    // Optionally take cars the sensors see without a booking (walk-ins) off the booked figure
+    const { availableSpots, sensors } = useSensors === 'true'
+        ? await combineWithSensors(parking, bookedAvailability, startTimeDate, endTime)
+        : { availableSpots: bookedAvailability.availableSpots, sensors: null };
 
-    const availableSpots = Math.max(0, parking.totalSpots - activeBookings);
+    // Outside opening hours the window is not bookable; suggest the open part of it
+    const closedReason = getClosedReason(parking, startTimeDate, endTime);
 
     res.status(200).json({
         success: true,
         data: {
-            available: availableSpots > 0,
+            available: !closedReason && availableSpots > 0,
             availableSpots,
+            bookedAvailableSpots: bookedAvailability.availableSpots,
+            reservedSpots,
             totalSpots: parking.totalSpots,
+            sensors,
+            isOpen: !closedReason,
+            closedReason,
+            openWindow: closedReason ? trimToOpeningHours(parking, startTimeDate, endTime) : null,
             requestedStartTime: startTimeDate,
             requestedEndTime: endTime,
-            requestedDuration: duration
+            requestedDuration: bookingWindow.duration,
+            requestedDurationMinutes: bookingWindow.durationMinutes
+        }
+    });
+});
+
+// Get an itemized price quote before booking
+exports.getParkingQuote = catchAsync(async (req, res, next) => {
+    const { startTime, duration, durationMinutes, endTime } = req.query;
+
+    if (!startTime || (!duration && !durationMinutes && !endTime)) {
+        return next(new AppError(400, 'Start time and duration or end time are required'));
+    }
+
+    const parking = await Parking.findById(req.params.id);
+    if (!parking) {
+        return next(new AppError(404, 'Parking not found'));
+    }
+
+    const bookingWindow = resolveBookingWindow({ startTime, duration, durationMinutes, endTime });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            parkingId: parking._id,
+            ...quotePrice(parking, bookingWindow.startTime, bookingWindow.endTime),
         }
     });
 });
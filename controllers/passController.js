@@ -0,0 +1,253 @@
+// controllers/passController.js
+const Pass = require('../models/Pass');
+const PassPlan = require('../models/PassPlan');
+const Parking = require('../models/Parking');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { findOwnedParking } = require('../utils/parkingUtils');
+const { purchasePass, renewPass } = require('../utils/passes');
+const { getUpcomingUsage } = require('../utils/capacityLedger');
+const { getLocalTime } = require('../utils/openingHours');
+
+const PLAN_FIELDS = ['name', 'description', 'type', 'price', 'durationDays', 'reservedSpots', 'nightStart', 'nightEnd', 'isActive'];
+
+// Reserved spots of all active plans must fit in the parking, next to the bookings
+// already in the capacity ledger wherever the plan's schedule runs
+const checkReservedCapacity = async (parking, plan) => {
+  const plans = await PassPlan.find({ parking: parking._id, isActive: true, _id: { $ne: plan._id } });
+  const alreadyReserved = plans.reduce((total, other) => total + other.reservedSpots, 0);
+
+  if (alreadyReserved + plan.reservedSpots > parking.totalSpots) {
+    throw new AppError(400, `Only ${Math.max(0, parking.totalSpots - alreadyReserved)} spots can still be reserved for passes`);
+  }
+
+  const reservedAt = (slotStart) => [...plans, plan]
+    .filter(other => other.coversTime(slotStart, parking))
+    .reduce((total, other) => total + other.reservedSpots, 0);
+
+  const usage = await getUpcomingUsage(parking._id);
+  const conflict = usage.find(slot =>
+    plan.coversTime(slot.slotStart, parking) && slot.used + reservedAt(slot.slotStart) > parking.totalSpots
+  );
+
+  if (conflict) {
+    const time = getLocalTime(parking, conflict.slotStart).format('YYYY-MM-DD HH:mm');
+    throw new AppError(400, `${conflict.used} spots are already booked at ${time}, reserve fewer spots or change the plan schedule`);
+  }
+};
+
+const countActivePasses = (planId) => Pass.countDocuments({
+  plan: planId,
+  status: 'active',
+  validUntil: { $gt: new Date() },
+});
+
+// 🟠 Owner: create a pass plan for a parking
+exports.createPassPlan = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const data = {};
+  for (const field of PLAN_FIELDS) {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  }
+
+  const plan = new PassPlan({ ...data, parking: parking._id });
+  await checkReservedCapacity(parking, plan);
+  await plan.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Pass plan created successfully',
+    data: plan,
+  });
+});
+
+// Get the pass plans of a parking (owners also see inactive plans)
+exports.getPassPlans = catchAsync(async (req, res, next) => {
+  const parking = await Parking.findById(req.params.id).select('owner');
+  if (!parking) {
+    return next(new AppError(404, 'Parking not found'));
+  }
+
+  const isOwner = parking.owner.toString() === req.user.id;
+  const filter = { parking: parking._id };
+  if (!isOwner) {
+    filter.isActive = true;
+  }
+
+  const plans = await PassPlan.find(filter).sort({ price: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: plans.length,
+    data: plans,
+  });
+});
+
+// 🟠 Owner: update a pass plan
+exports.updatePassPlan = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const plan = await PassPlan.findOne({ _id: req.params.planId, parking: parking._id });
+  if (!plan) {
+    return next(new AppError(404, 'Pass plan not found'));
+  }
+
+  for (const field of PLAN_FIELDS) {
+    if (req.body[field] !== undefined) plan[field] = req.body[field];
+  }
+
+  const activePasses = await countActivePasses(plan._id);
+  if (activePasses > 0 && (!plan.isActive || plan.isModified('type') || plan.isModified('nightStart') || plan.isModified('nightEnd'))) {
+    return next(new AppError(400, 'Cannot deactivate a plan or change its schedule while it has active passes'));
+  }
+  if (plan.reservedSpots < activePasses) {
+    return next(new AppError(400, `Plan has ${activePasses} active passes`));
+  }
+
+  if (plan.isActive) {
+    await checkReservedCapacity(parking, plan);
+  }
+
+  await plan.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Pass plan updated successfully',
+    data: plan,
+  });
+});
+
+// 🟠 Owner: get the passes sold for a parking
+exports.getParkingPasses = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const filter = { parking: parking._id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const passes = await Pass.find(filter)
+    .select('-qrCode')
+    .populate('user', 'name phone')
+    .populate('plan', 'name type')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Pass.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: passes.length,
+    total,
+    pages: Math.ceil(total / limit),
+    data: passes,
+  });
+});
+
+// 🟢 Driver: buy a pass (paid from the wallet)
+exports.purchasePass = catchAsync(async (req, res, next) => {
+  const { planId, startDate, autoRenew } = req.body;
+
+  if (!planId) {
+    return next(new AppError(400, 'Plan ID is required'));
+  }
+
+  const plan = await PassPlan.findById(planId);
+  if (!plan) {
+    return next(new AppError(404, 'Pass plan not found'));
+  }
+
+  const pass = await purchasePass(req.user.id, plan, { startDate, autoRenew: autoRenew !== false });
+  await pass.populate('parking', 'name address city');
+  await pass.populate('plan', 'name type price durationDays nightStart nightEnd');
+
+  res.status(201).json({
+    success: true,
+    message: 'Pass purchased successfully',
+    data: pass,
+  });
+});
+
+// 🟢 Driver: get my passes
+exports.getMyPasses = catchAsync(async (req, res, next) => {
+  const { status } = req.query;
+
+  const filter = { user: req.user.id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const passes = await Pass.find(filter)
+    .populate('parking', 'name address city')
+    .populate('plan', 'name type price durationDays nightStart nightEnd')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: passes.length,
+    data: passes,
+  });
+});
+
+// 🟢 Driver: get a pass with its QR code
+exports.getPassById = catchAsync(async (req, res, next) => {
+  const pass = await Pass.findOne({ _id: req.params.id, user: req.user.id })
+    .populate('parking', 'name address city')
+    .populate('plan', 'name type price durationDays nightStart nightEnd');
+
+  if (!pass) {
+    return next(new AppError(404, 'Pass not found'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: pass,
+  });
+});
+
+// 🟢 Driver: turn auto-renewal on or off
+exports.updatePass = catchAsync(async (req, res, next) => {
+  const pass = await Pass.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!pass) {
+    return next(new AppError(404, 'Pass not found'));
+  }
+
+  if (typeof req.body.autoRenew !== 'boolean') {
+    return next(new AppError(400, 'autoRenew must be true or false'));
+  }
+
+  pass.autoRenew = req.body.autoRenew;
+  await pass.save();
+
+  res.status(200).json({
+    success: true,
+    message: pass.autoRenew ? 'Auto-renewal enabled' : 'Auto-renewal disabled',
+    data: pass,
+  });
+});
+
+// 🟢 Driver: renew a pass now for one more period
+exports.renewPass = catchAsync(async (req, res, next) => {
+  const pass = await Pass.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!pass) {
+    return next(new AppError(404, 'Pass not found'));
+  }
+
+  const plan = await PassPlan.findById(pass.plan);
+  if (!plan) {
+    return next(new AppError(400, 'This pass plan no longer exists'));
+  }
+
+  await renewPass(pass, plan);
+
+  res.status(200).json({
+    success: true,
+    message: 'Pass renewed successfully',
+    data: pass,
+  });
+});
@@ -0,0 +1,225 @@
+// controllers/paymentController.js
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { getPaymentProvider, createBookingPayment, refundPayment, getAmountDue } = require('../utils/payments');
+const { transition } = require('../utils/bookingStateMachine');
+const { creditWallet } = require('../utils/wallet');
+
+// Credit the driver's wallet once a top-up succeeds
+const handleTopupEvent = async (payment, event) => {
+  if (event.type === 'payment.succeeded') {
+    payment.status = 'succeeded';
+    await creditWallet(payment.user, payment.amount, {
+      type: 'topup',
+      payment: payment._id,
+      description: 'Wallet top-up',
+      reference: `topup:${payment.providerIntentId}`,
+    });
+  } else if (event.type === 'payment.failed') {
+    payment.status = 'failed';
+    payment.failureReason = event.data.failureReason;
+  }
+
+  payment.processedEvents.push(event.id);
+  await payment.save();
+
+  return payment;
+};
+
+// Apply a provider event (from the webhook or the mock gateway) to the payment and its booking
+const handlePaymentEvent = async (event) => {
+  const payment = await Payment.findOne({ providerIntentId: event.data.intentId });
+  if (!payment) return null;
+
+  // Providers may deliver the same event more than once
+  if (payment.processedEvents.includes(event.id)) return payment;
+
+  if (payment.purpose === 'wallet_topup') return handleTopupEvent(payment, event);
+
+  const booking = await Booking.findById(payment.booking);
+  if (!booking) {
+    // The booking was removed (e.g. discarded when its series failed): give the money back
+    payment.processedEvents.push(event.id);
+    if (event.type === 'payment.succeeded') {
+      payment.status = 'succeeded';
+      await refundPayment(payment, payment.amount, 'Booking no longer exists');
+    } else {
+      payment.status = 'failed';
+      payment.failureReason = event.data.failureReason;
+      await payment.save();
+    }
+    return payment;
+  }
+
+  if (event.type === 'payment.succeeded') {
+    const wasCancelled = payment.status === 'cancelled';
+    payment.status = 'succeeded';
+
+    if (['expired', 'cancelled', 'no_show'].includes(booking.status)) {
+      // Paid too late: the booking is gone, give the money back
+      payment.processedEvents.push(event.id);
+      await refundPayment(payment, payment.amount, `Booking already ${booking.status}`);
+      if (booking.paymentStatus !== 'paid') {
+        booking.paymentStatus = 'refunded';
+        await booking.save();
+      }
+      return payment;
+    }
+
+    if (wasCancelled || payment.amount !== getAmountDue(booking)) {
+      // The intent was voided or the booking was re-priced since: a newer intent collects what is due
+      payment.processedEvents.push(event.id);
+      await refundPayment(payment, payment.amount, 'Payment amount no longer matches the booking');
+      return payment;
+    }
+
+    if (booking.paymentStatus === 'paid') {
+      booking.amountDue = 0; // The extra amount of a reschedule or extension
+    }
+    booking.paymentStatus = 'paid';
+
+    if (booking.status === 'pending') {
+      await transition(booking, 'confirmed', { role: 'system', reason: 'Payment received' });
+    } else {
+      await booking.save();
+    }
+  } else if (event.type === 'payment.failed') {
+    payment.status = 'failed';
+    payment.failureReason = event.data.failureReason;
+
+    if (booking.paymentStatus !== 'paid') {
+      booking.paymentStatus = 'failed'; // The driver can retry with a new intent
+      await booking.save();
+    }
+  }
+
+  payment.processedEvents.push(event.id);
+  await payment.save();
+
+  return payment;
+};
+
+const formatPayment = (payment) => ({
+  id: payment._id,
+  purpose: payment.purpose,
+  booking: payment.booking,
+  provider: payment.provider,
+  intentId: payment.providerIntentId,
+  clientSecret: payment.clientSecret,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  failureReason: payment.failureReason,
+  refundedAmount: payment.refundedAmount,
+});
+
+// Create a payment intent for a pending card booking, or for the extra amount a paid one owes
+exports.createPaymentIntent = catchAsync(async (req, res, next) => {
+  const { bookingId } = req.body;
+
+  if (!bookingId) {
+    return next(new AppError(400, 'Booking ID is required'));
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return next(new AppError(404, 'Booking not found'));
+  }
+
+  if (booking.user.toString() !== req.user.id) {
+    return next(new AppError(403, 'Access denied to pay this booking'));
+  }
+
+  if (booking.paymentMethod !== 'card') {
+    return next(new AppError(400, 'Only card bookings are paid through a payment intent'));
+  }
+
+  const awaitingPayment = booking.paymentStatus === 'paid'
+    ? ['pending', 'confirmed', 'active'].includes(booking.status) && getAmountDue(booking) > 0
+    : booking.status === 'pending';
+  if (!awaitingPayment) {
+    return next(new AppError(400, 'Booking is not awaiting payment'));
+  }
+
+  const payment = await createBookingPayment(booking);
+
+  res.status(201).json({
+    success: true,
+    data: formatPayment(payment),
+  });
+});
+
+// Confirm an intent with a card (mock gateway only, real gateways confirm on the client)
+exports.confirmPaymentIntent = catchAsync(async (req, res, next) => {
+  const payment = await Payment.findOne({ providerIntentId: req.params.intentId, user: req.user.id });
+  if (!payment) {
+    return next(new AppError(404, 'Payment not found'));
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  if (!provider.supportsDirectConfirm) {
+    return next(new AppError(400, 'This payment provider confirms payments on the client'));
+  }
+
+  if (payment.status !== 'requires_confirmation') {
+    return next(new AppError(400, `Payment is already ${payment.status}`));
+  }
+
+  const { event } = await provider.confirmIntent(payment.providerIntentId, { cardNumber: req.body.cardNumber });
+  const updatedPayment = await handlePaymentEvent(event);
+
+  const data = { payment: formatPayment(updatedPayment) };
+  if (payment.purpose === 'wallet_topup') {
+    data.wallet = (await User.findById(payment.user)).wallet;
+  } else {
+    data.booking = await Booking.findById(payment.booking);
+  }
+
+  res.status(200).json({
+    success: updatedPayment.status === 'succeeded',
+    message: updatedPayment.status === 'succeeded' ? 'Payment successful' : 'Payment failed',
+    data,
+  });
+});
+
+// Get a payment by intent id
+exports.getPayment = catchAsync(async (req, res, next) => {
+  const payment = await Payment.findOne({ providerIntentId: req.params.intentId, user: req.user.id });
+  if (!payment) {
+    return next(new AppError(404, 'Payment not found'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: formatPayment(payment),
+  });
+});
+
+// Provider webhook (signed, no user authentication)
+exports.handleWebhook = catchAsync(async (req, res, next) => {
+  // Only the configured provider may send events, and only signed ones
+  if (req.params.provider !== process.env.PAYMENT_PROVIDER) {
+    return next(new AppError(404, 'Unknown payment provider'));
+  }
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    return next(new AppError(503, 'Payment webhooks are not configured'));
+  }
+
+  const provider = getPaymentProvider(req.params.provider);
+
+  let event;
+  try {
+    event = provider.verifyWebhook(req.rawBody, req.headers['x-parkly-signature']);
+  } catch (error) {
+    return next(new AppError(400, error.message));
+  }
+
+  await handlePaymentEvent(event);
+
+  res.status(200).json({ received: true });
+});
+
+exports.handlePaymentEvent = handlePaymentEvent;
@@ -0,0 +1,62 @@
+// controllers/payoutController.js
+const Payout = require('../models/Payout');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { payoutToCsv } = require('../utils/settlement');
+
+// Get owner's payout statements
+exports.getMyPayouts = catchAsync(async (req, res, next) => {
+  const { status, page = 1, limit = 10 } = req.query;
+
+  const filter = { owner: req.user.id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const payouts = await Payout.find(filter)
+    .select('-lines')
+    .sort({ periodStart: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Payout.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    total,
+    pages: Math.ceil(total / limit),
+    data: payouts,
+  });
+});
+
+// Get a payout statement with its bookings
+exports.getPayoutById = catchAsync(async (req, res, next) => {
+  const payout = await Payout.findOne({ _id: req.params.id, owner: req.user.id });
+
+  if (!payout) {
+    return next(new AppError(404, 'Payout not found'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: payout,
+  });
+});
+
+// Download a payout statement as CSV
+exports.downloadPayoutCsv = catchAsync(async (req, res, next) => {
+  const payout = await Payout.findOne({ _id: req.params.id, owner: req.user.id });
+
+  if (!payout) {
+    return next(new AppError(404, 'Payout not found'));
+  }
+
+  const filename = `payout-${payout.periodStart.toISOString().slice(0, 10)}-${payout._id}.csv`;
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  res.status(200).send(payoutToCsv(payout));
+});
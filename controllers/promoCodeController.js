@@ -0,0 +1,188 @@
+// controllers/promoCodeController.js
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Parking = require('../models/Parking');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { quotePrice, round } = require('../utils/pricing');
+const { resolveBookingWindow } = require('../utils/bookingUtils');
+const { validatePromoCode } = require('../utils/promoCodes');
+
+const EDITABLE_FIELDS = [
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minBookingAmount',
+  'parkings',
+  'cities',
+  'zones',
+  'firstBookingOnly',
+  'maxRedemptions',
+  'maxRedemptionsPerUser',
+  'validFrom',
+  'validUntil',
+  'isActive',
+];
+
+// Owners may only target their own parkings
+const checkOwnerScope = async (user, parkings) => {
+  if (user.role === 'admin') return;
+
+  if (!parkings || parkings.length === 0) {
+    throw new AppError(400, 'Owner promo codes must be limited to your parkings');
+  }
+
+  const ownedCount = await Parking.countDocuments({ _id: { $in: parkings }, owner: user.id });
+  if (ownedCount !== parkings.length) {
+    throw new AppError(403, 'You can only create promo codes for your own parkings');
+  }
+};
+
+// Load a promo code the user may manage (admins manage all codes)
+const findManagedPromoCode = async (promoCodeId, user) => {
+  const promoCode = await PromoCode.findById(promoCodeId);
+  if (!promoCode) throw new AppError(404, 'Promo code not found');
+
+  if (user.role !== 'admin' && promoCode.createdBy.toString() !== user.id) {
+    throw new AppError(403, 'You do not have permission to manage this promo code');
+  }
+
+  return promoCode;
+};
+
+// Create promo code
+exports.createPromoCode = catchAsync(async (req, res, next) => {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  }
+
+  await checkOwnerScope(req.user, data.parkings);
+
+  const promoCode = await PromoCode.create({
+    ...data,
+    code: req.body.code,
+    createdBy: req.user.id,
+    createdByRole: req.user.role,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Promo code created successfully',
+    data: promoCode,
+  });
+});
+
+// Get promo codes (owners see their own)
+exports.getPromoCodes = catchAsync(async (req, res, next) => {
+  const { isActive, page = 1, limit = 20 } = req.query;
+
+  const filter = req.user.role === 'admin' ? {} : { createdBy: req.user.id };
+  if (isActive !== undefined) {
+    filter.isActive = isActive === 'true';
+  }
+
+  const promoCodes = await PromoCode.find(filter)
+    .populate('parkings', 'name city zone')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await PromoCode.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: promoCodes.length,
+    total,
+    pages: Math.ceil(total / limit),
+    data: promoCodes,
+  });
+});
+
+// Get single promo code
+exports.getPromoCode = catchAsync(async (req, res, next) => {
+  const promoCode = await findManagedPromoCode(req.params.id, req.user);
+  await promoCode.populate('parkings', 'name city zone');
+
+  res.status(200).json({
+    success: true,
+    data: promoCode,
+  });
+});
+
+// Update promo code (the code itself cannot change)
+exports.updatePromoCode = catchAsync(async (req, res, next) => {
+  const promoCode = await findManagedPromoCode(req.params.id, req.user);
+
+  if (req.body.parkings !== undefined) {
+    await checkOwnerScope(req.user, req.body.parkings);
+  }
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) promoCode[field] = req.body[field];
+  }
+
+  await promoCode.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Promo code updated successfully',
+    data: promoCode,
+  });
+});
+
+// Get redemptions of a promo code
+exports.getPromoCodeRedemptions = catchAsync(async (req, res, next) => {
+  const promoCode = await findManagedPromoCode(req.params.id, req.user);
+  const { page = 1, limit = 20 } = req.query;
+
+  const filter = { promoCode: promoCode._id };
+
+  const redemptions = await PromoRedemption.find(filter)
+    .populate('user', 'name email')
+    .populate('booking', 'parking startTime totalAmount status')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await PromoRedemption.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: redemptions.length,
+    total,
+    pages: Math.ceil(total / limit),
+    data: redemptions,
+  });
+});
+
+// Preview a promo code on a booking before creating it
+exports.validatePromoCode = catchAsync(async (req, res, next) => {
+  const { code, parkingId, startTime, duration, durationMinutes, endTime } = req.body;
+
+  if (!code || !parkingId || !startTime || (!duration && !durationMinutes && !endTime)) {
+    return next(new AppError(400, 'Code, parking ID, start time and duration or end time are required'));
+  }
+
+  const parking = await Parking.findById(parkingId);
+  if (!parking) {
+    return next(new AppError(404, 'Parking not found'));
+  }
+
+  const bookingWindow = resolveBookingWindow({ startTime, duration, durationMinutes, endTime });
+  const quote = quotePrice(parking, bookingWindow.startTime, bookingWindow.endTime);
+  const { promo, discountAmount } = await validatePromoCode(code, { userId: req.user.id, parking, amount: quote.total });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      code: promo.code,
+      description: promo.description,
+      subtotal: quote.total,
+      discountAmount,
+      total: round(quote.total - discountAmount),
+      currency: quote.currency,
+    },
+  });
+});
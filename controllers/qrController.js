@@ -0,0 +1,52 @@
+// controllers/qrController.js
+// Data attendant devices need to verify booking QR codes offline.
+const RevokedQrToken = require('../models/RevokedQrToken');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { findOwnedParking } = require('../utils/parkingUtils');
+const { getQrPublicKeys, EARLY_ENTRY_MINUTES, LATE_EXIT_HOURS } = require('../utils/qrTokens');
+
+// Public keys that verify QR code signatures (current key first)
+exports.getPublicKeys = catchAsync(async (req, res, next) => {
+  const keys = getQrPublicKeys().sort((a, b) => b.current - a.current);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      keys,
+      earlyEntryMinutes: EARLY_ENTRY_MINUTES,
+      lateExitHours: LATE_EXIT_HOURS,
+    },
+  });
+});
+
+// 🟠 Owner: revoked codes of a parking, optionally only those revoked after `since`
+exports.getRevocations = catchAsync(async (req, res, next) => {
+  const { parkingId, since } = req.query;
+
+  if (!parkingId) {
+    return next(new AppError(400, 'Parking ID is required'));
+  }
+
+  const parking = await findOwnedParking(parkingId, req.user.id);
+
+  const filter = { parking: parking._id, expiresAt: { $gt: new Date() } };
+  if (since) {
+    const sinceDate = new Date(since);
+    if (isNaN(sinceDate.getTime())) {
+      return next(new AppError(400, 'Invalid since date'));
+    }
+    filter.createdAt = { $gt: sinceDate };
+  }
+
+  const revocations = await RevokedQrToken.find(filter)
+    .select('tokenId booking reason expiresAt createdAt')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: revocations.length,
+    syncedAt: new Date(),
+    data: revocations,
+  });
+});
@@ -0,0 +1,158 @@
+// controllers/scheduleController.js
+const Parking = require('../models/Parking');
+const Booking = require('../models/Booking');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { findOwnedParking } = require('../utils/parkingUtils');
+const { TIME_FORMAT, isValidTimezone, getNextLocalMidnight } = require('../utils/openingHours');
+
+const parseJSONField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new AppError(400, 'Invalid JSON in request body');
+  }
+};
+
+// Throw a 400 unless the open and close times present are HH:mm
+const checkTimes = (hours, label) => {
+  ['openTime', 'closeTime'].forEach(field => {
+    if (hours[field] !== undefined && !TIME_FORMAT.test(hours[field])) {
+      throw new AppError(400, `${label} ${field} must be in HH:mm format`);
+    }
+  });
+};
+
+// Get opening hours, weekday hours and upcoming closures of a parking
+exports.getSchedule = catchAsync(async (req, res, next) => {
+  const parking = await Parking.findById(req.params.id).select('openingHours weeklyHours closures timezone');
+  if (!parking) return next(new AppError(404, 'Parking not found'));
+
+  const now = new Date();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      timezone: parking.timezone,
+      openingHours: parking.openingHours,
+      weeklyHours: parking.weeklyHours,
+      closures: parking.closures
+        .filter(closure => closure.endDate > now)
+        .sort((a, b) => a.startDate - b.startDate),
+    },
+  });
+});
+
+// Update default opening hours, per-weekday hours and the timezone they are in
+exports.updateSchedule = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const openingHours = parseJSONField(req.body.openingHours);
+  const weeklyHours = parseJSONField(req.body.weeklyHours);
+  const { timezone } = req.body;
+
+  if (timezone !== undefined) {
+    if (!isValidTimezone(timezone)) {
+      return next(new AppError(400, 'Timezone must be an IANA name, e.g. Africa/Casablanca'));
+    }
+    parking.timezone = timezone;
+  }
+
+  if (openingHours !== undefined) {
+    if (!openingHours || typeof openingHours !== 'object') {
+      return next(new AppError(400, 'Opening hours must be an object'));
+    }
+    checkTimes(openingHours, 'Opening hours');
+    parking.openingHours = { ...parking.toObject().openingHours, ...openingHours };
+  }
+
+  if (weeklyHours !== undefined) {
+    if (!Array.isArray(weeklyHours)) {
+      return next(new AppError(400, 'Weekly hours must be an array'));
+    }
+
+    const days = weeklyHours.map(h => h.day);
+    if (new Set(days).size !== days.length) {
+      return next(new AppError(400, 'Each weekday can only appear once in weekly hours'));
+    }
+    weeklyHours.forEach(hours => checkTimes(hours, `Weekly hours of day ${hours.day}`));
+
+    parking.weeklyHours = weeklyHours;
+  }
+
+  await parking.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Opening hours updated successfully',
+    data: {
+      timezone: parking.timezone,
+      openingHours: parking.openingHours,
+      weeklyHours: parking.weeklyHours,
+    },
+  });
+});
+
+// Add a closure (holiday, maintenance day...)
+exports.addClosure = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const { startDate, endDate, type, reason } = req.body;
+
+  if (!startDate) {
+    return next(new AppError(400, 'Closure start date is required'));
+  }
+
+  const start = new Date(startDate);
+  if (isNaN(start.getTime())) {
+    return next(new AppError(400, 'Invalid closure dates'));
+  }
+
+  // Without an end date the closure lasts until the end of the parking's local day
+  const end = endDate ? new Date(endDate) : getNextLocalMidnight(parking, start);
+
+  if (isNaN(end.getTime())) {
+    return next(new AppError(400, 'Invalid closure dates'));
+  }
+
+  if (end <= start) {
+    return next(new AppError(400, 'Closure end date must be after its start date'));
+  }
+
+  parking.closures.push({ startDate: start, endDate: end, type, reason });
+  await parking.save();
+
+  const closure = parking.closures[parking.closures.length - 1];
+
+  // Let the owner know which bookings are affected
+  const affectedBookings = await Booking.countDocuments({
+    parking: parking._id,
+    status: { $in: ['pending', 'confirmed'] },
+    startTime: { $lt: end },
+    endTime: { $gt: start }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Closure added successfully',
+    affectedBookings,
+    data: closure,
+  });
+});
+
+// Remove a closure
+exports.deleteClosure = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const closure = parking.closures.id(req.params.closureId);
+  if (!closure) return next(new AppError(404, 'Closure not found'));
+
+  parking.closures.pull(req.params.closureId);
+  await parking.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Closure deleted successfully',
+  });
+});
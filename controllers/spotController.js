@@ -0,0 +1,148 @@
+// controllers/spotController.js
+const Parking = require('../models/Parking');
+const ParkingSpot = require('../models/ParkingSpot');
+const Booking = require('../models/Booking');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { findOwnedParking } = require('../utils/parkingUtils');
+const { resolveBookingWindow } = require('../utils/bookingUtils');
+
+const SPOT_FIELDS = ['label', 'level', 'sizeClass', 'hasEvCharger', 'isAccessible', 'isActive'];
+
+const pickSpotFields = (body) => {
+  const data = {};
+  SPOT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Parking.totalSpots follows the active spots and cannot drop to 0, so the last active spot stays
+const isLastActiveSpot = async (spot) => !(await ParkingSpot.exists({
+  parking: spot.parking,
+  isActive: true,
+  _id: { $ne: spot._id },
+}));
+
+// Get all spots of a parking
+exports.getParkingSpots = catchAsync(async (req, res, next) => {
+  const parking = await Parking.findById(req.params.id);
+  if (!parking) return next(new AppError(404, 'Parking not found'));
+
+  const filter = { parking: parking._id };
+  if (parking.owner.toString() !== req.user.id) {
+    filter.isActive = true;
+  }
+
+  const spots = await ParkingSpot.find(filter).sort({ level: 1, label: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: spots.length,
+    data: spots,
+  });
+});
+
+// Get spots that are free for a time window (driver spot picker)
+exports.getAvailableSpots = catchAsync(async (req, res, next) => {
+  const { startTime, duration, durationMinutes, endTime, sizeClass, hasEvCharger, isAccessible } = req.query;
+
+  if (!startTime || (!duration && !durationMinutes && !endTime)) {
+    return next(new AppError(400, 'Start time and duration or end time are required'));
+  }
+
+  const parking = await Parking.findById(req.params.id);
+  if (!parking) return next(new AppError(404, 'Parking not found'));
+
+  const bookingWindow = resolveBookingWindow({ startTime, duration, durationMinutes, endTime });
+
+  const criteria = {};
+  if (sizeClass) criteria.sizeClass = sizeClass;
+  if (hasEvCharger === 'true') criteria.hasEvCharger = true;
+  if (isAccessible === 'true') criteria.isAccessible = true;
+
+  const spots = await ParkingSpot.findFreeSpots(parking._id, bookingWindow.startTime, bookingWindow.endTime, criteria);
+
+  res.status(200).json({
+    success: true,
+    count: spots.length,
+    data: spots,
+  });
+});
+
+// Create one spot, or several at once with a `spots` array
+exports.createSpots = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const items = Array.isArray(req.body.spots) ? req.body.spots : [req.body];
+  if (items.length === 0) {
+    return next(new AppError(400, 'At least one spot is required'));
+  }
+
+  const spots = await ParkingSpot.create(
+    items.map(item => ({ ...pickSpotFields(item), parking: parking._id }))
+  );
+
+  const totalSpots = await ParkingSpot.syncParkingCapacity(parking._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Spots created successfully',
+    totalSpots,
+    data: spots,
+  });
+});
+
+// Update a spot
+exports.updateSpot = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const spot = await ParkingSpot.findOne({ _id: req.params.spotId, parking: parking._id });
+  if (!spot) return next(new AppError(404, 'Spot not found'));
+
+  Object.assign(spot, pickSpotFields(req.body));
+  if (spot.isModified('isActive') && !spot.isActive && await isLastActiveSpot(spot)) {
+    return next(new AppError(400, 'Cannot deactivate the last active spot of a parking'));
+  }
+  await spot.save();
+
+  const totalSpots = await ParkingSpot.syncParkingCapacity(parking._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Spot updated successfully',
+    totalSpots,
+    data: spot,
+  });
+});
+
+// Delete a spot (only when no upcoming booking uses it)
+exports.deleteSpot = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+
+  const spot = await ParkingSpot.findOne({ _id: req.params.spotId, parking: parking._id });
+  if (!spot) return next(new AppError(404, 'Spot not found'));
+
+  const upcomingBookings = await Booking.countDocuments({
+    spot: spot._id,
+    status: { $in: ParkingSpot.OCCUPYING_STATUSES },
+    endTime: { $gt: new Date() }
+  });
+
+  if (upcomingBookings > 0) {
+    return next(new AppError(400, 'Spot has upcoming bookings. Deactivate it instead.'));
+  }
+
+  if (spot.isActive && await isLastActiveSpot(spot)) {
+    return next(new AppError(400, 'Cannot delete the last active spot of a parking'));
+  }
+
+  await spot.deleteOne();
+  const totalSpots = await ParkingSpot.syncParkingCapacity(parking._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Spot deleted successfully',
+    totalSpots,
+  });
+});
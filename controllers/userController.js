@@ -2,6 +2,8 @@ const User = require('../models/User');
 const cloudinary = require('../config/cloudinary');
 const jwt = require('jsonwebtoken');
 
+const SIGNUP_ROLES = ['driver', 'owner'];
+
 // Generate JWT Token
 const generateToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
@@ -16,6 +18,14 @@ exports.register = async (req, res) => {
   try {
     const { name, email, phone, password, role } = req.body;
 
+    // Admins are created directly in the database, never through sign up
+    if (role && !SIGNUP_ROLES.includes(role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Can only register as ${SIGNUP_ROLES.join(' or ')}`
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ 
       $or: [{ email }, { phone }] 
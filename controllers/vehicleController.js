@@ -0,0 +1,114 @@
+// controllers/vehicleController.js
+const Vehicle = require('../models/Vehicle');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { normalizePlate } = require('../utils/plates');
+
+const VEHICLE_FIELDS = ['make', 'sizeClass', 'isElectric'];
+
+const pickVehicleFields = (body) => {
+  const data = {};
+  VEHICLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Only one default vehicle per driver
+const makeDefault = async (vehicle) => {
+  await Vehicle.updateMany({ user: vehicle.user, _id: { $ne: vehicle._id } }, { isDefault: false });
+  vehicle.isDefault = true;
+  await vehicle.save();
+};
+
+// Get the driver's vehicles
+exports.getMyVehicles = catchAsync(async (req, res, next) => {
+  const vehicles = await Vehicle.find({ user: req.user.id }).sort({ isDefault: -1, createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: vehicles.length,
+    data: vehicles,
+  });
+});
+
+// Register a vehicle (the first one becomes the default)
+exports.addVehicle = catchAsync(async (req, res, next) => {
+  const { plate, country } = normalizePlate(req.body.plate, { country: req.body.country });
+
+  if (await Vehicle.exists({ user: req.user.id, plate })) {
+    return next(new AppError(400, 'This vehicle is already registered'));
+  }
+
+  const vehicle = new Vehicle({
+    ...pickVehicleFields(req.body),
+    user: req.user.id,
+    plate,
+    country,
+  });
+
+  const hasVehicles = await Vehicle.exists({ user: req.user.id });
+  if (!hasVehicles || req.body.isDefault === true) {
+    await makeDefault(vehicle);
+  } else {
+    await vehicle.save();
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Vehicle added successfully',
+    data: vehicle,
+  });
+});
+
+// Update a vehicle or make it the default one
+exports.updateVehicle = catchAsync(async (req, res, next) => {
+  const vehicle = await Vehicle.findOne({ _id: req.params.vehicleId, user: req.user.id });
+  if (!vehicle) return next(new AppError(404, 'Vehicle not found'));
+
+  if (req.body.plate !== undefined || req.body.country !== undefined) {
+    const { plate, country } = normalizePlate(req.body.plate || vehicle.plate, {
+      country: req.body.country !== undefined ? req.body.country : vehicle.country,
+    });
+
+    if (plate !== vehicle.plate && await Vehicle.exists({ user: req.user.id, plate })) {
+      return next(new AppError(400, 'This vehicle is already registered'));
+    }
+
+    vehicle.plate = plate;
+    vehicle.country = country;
+  }
+
+  Object.assign(vehicle, pickVehicleFields(req.body));
+
+  if (req.body.isDefault === true) {
+    await makeDefault(vehicle);
+  } else {
+    await vehicle.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Vehicle updated successfully',
+    data: vehicle,
+  });
+});
+
+// Remove a vehicle. Bookings keep the plate they were made with.
+exports.deleteVehicle = catchAsync(async (req, res, next) => {
+  const vehicle = await Vehicle.findOne({ _id: req.params.vehicleId, user: req.user.id });
+  if (!vehicle) return next(new AppError(404, 'Vehicle not found'));
+
+  await vehicle.deleteOne();
+
+  // Another vehicle takes over as the default
+  if (vehicle.isDefault) {
+    const replacement = await Vehicle.findOne({ user: req.user.id }).sort({ createdAt: 1 });
+    if (replacement) await makeDefault(replacement);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Vehicle removed successfully',
+  });
+});
@@ -0,0 +1,225 @@
+// controllers/waitlistController.js
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Parking = require('../models/Parking');
+const Notification = require('../models/Notification');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { resolveBookingWindow, startsInPast } = require('../utils/bookingUtils');
+const { getClosedReason } = require('../utils/openingHours');
+const { getBookingConflict, placeBooking, startCardPayment } = require('../utils/bookingPlacement');
+const { findOwnedParking } = require('../utils/parkingUtils');
+const { releaseWaitlistHold, HOLD_MINUTES } = require('../utils/waitlist');
+
+// 🟢 Driver: join the waitlist of a fully booked parking
+exports.joinWaitlist = catchAsync(async (req, res, next) => {
+  const { parkingId, startTime, duration, durationMinutes, endTime, notes } = req.body;
+
+  if (!parkingId || !startTime || (!duration && !durationMinutes && !endTime)) {
+    return next(new AppError(400, 'Parking ID, start time, and duration or end time are required'));
+  }
+
+  const bookingWindow = resolveBookingWindow({ startTime, duration, durationMinutes, endTime });
+  if (startsInPast(bookingWindow.startTime)) {
+    return next(new AppError(400, 'Start time must be in the future'));
+  }
+
+  const parking = await Parking.findById(parkingId);
+  if (!parking) {
+    return next(new AppError(404, 'Parking not found'));
+  }
+
+  if (!parking.isAvailable) {
+    return next(new AppError(400, 'Parking is not available for booking'));
+  }
+
+  // Waiting only helps when the parking is full, not when it is closed
+  const closedReason = getClosedReason(parking, bookingWindow.startTime, bookingWindow.endTime);
+  if (closedReason) {
+    return next(new AppError(400, closedReason));
+  }
+
+  if (!(await getBookingConflict(parking, bookingWindow.startTime, bookingWindow.endTime))) {
+    return next(new AppError(400, 'Parking is available for the selected time slot, you can book it directly'));
+  }
+
+  const alreadyWaiting = await WaitlistEntry.exists({
+    user: req.user.id,
+    parking: parking._id,
+    status: { $in: ['waiting', 'offered'] },
+    startTime: { $lt: bookingWindow.endTime },
+    endTime: { $gt: bookingWindow.startTime },
+  });
+  if (alreadyWaiting) {
+    return next(new AppError(400, 'You are already on the waitlist for this time slot'));
+  }
+
+  const entry = await WaitlistEntry.create({
+    user: req.user.id,
+    parking: parking._id,
+    startTime: bookingWindow.startTime,
+    endTime: bookingWindow.endTime,
+    duration: bookingWindow.duration,
+    durationMinutes: bookingWindow.durationMinutes,
+    notes,
+  });
+
+  const position = await WaitlistEntry.countDocuments({
+    parking: parking._id,
+    status: 'waiting',
+    createdAt: { $lte: entry.createdAt },
+    startTime: { $lt: entry.endTime },
+    endTime: { $gt: entry.startTime },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `You joined the waitlist. You will have ${HOLD_MINUTES} minutes to book once a spot frees up.`,
+    data: entry,
+    position,
+  });
+});
+
+// 🟢 Driver: get my waitlist entries
+exports.getMyWaitlist = catchAsync(async (req, res, next) => {
+  const { status } = req.query;
+
+  const filter = { user: req.user.id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const entries = await WaitlistEntry.find(filter)
+    .populate('parking', 'name address city')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries,
+  });
+});
+
+// 🟢 Driver: leave the waitlist (also gives up an offered hold)
+exports.leaveWaitlist = catchAsync(async (req, res, next) => {
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: req.params.id, user: req.user.id, status: { $in: ['waiting', 'offered'] } },
+    { $set: { status: 'cancelled' } }
+  );
+
+  if (!entry) {
+    return next(new AppError(404, 'Active waitlist entry not found'));
+  }
+
+  if (entry.status === 'offered') {
+    await releaseWaitlistHold(entry);
+  }
+
+  entry.status = 'cancelled';
+
+  res.status(200).json({
+    success: true,
+    message: 'You left the waitlist',
+    data: entry,
+  });
+});
+
+// 🟢 Driver: turn an offered hold into a booking
+exports.bookFromWaitlist = catchAsync(async (req, res, next) => {
+  const { paymentMethod, promoCode, spotId, vehicleId } = req.body;
+
+  // Claim the offer so the lifecycle worker cannot expire it while booking
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: req.params.id, user: req.user.id, status: 'offered', holdExpiresAt: { $gt: new Date() } },
+    { $set: { status: 'booked' } },
+    { new: true }
+  );
+
+  if (!entry) {
+    return next(new AppError(400, 'There is no open offer for this waitlist entry'));
+  }
+
+  const parking = await Parking.findById(entry.parking);
+
+  let booking;
+  try {
+    booking = await placeBooking({
+      userId: req.user.id,
+      parking,
+      bookingWindow: {
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        duration: entry.duration,
+        durationMinutes: entry.durationMinutes,
+      },
+      paymentMethod,
+      notes: entry.notes,
+      spotId,
+      promoCode,
+      holdId: entry._id,
+      vehicleId,
+    });
+  } catch (error) {
+    // Keep the hold so the driver can retry (e.g. after topping up the wallet)
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'offered' } });
+    throw error;
+  }
+
+  entry.booking = booking._id;
+  await entry.save();
+
+  await booking.populate('parking', 'name address city zone type pricePerHour owner');
+  await booking.populate('user', 'name email phone');
+  await booking.populate('spot', 'label level sizeClass hasEvCharger isAccessible');
+
+  // ✅ Send notification to parking owner
+  try {
+    await Notification.create({
+      user: parking.owner,
+      title: 'تم استلام حجز جديد! 🎉',
+      message: `لديك حجز جديد من قائمة الانتظار لـ ${parking.name}. السائق: ${booking.user.name}, وقت البدء: ${new Date(booking.startTime).toLocaleString()}`,
+      type: 'booking_created',
+      relatedBooking: booking._id,
+      metadata: {
+        parkingId: parking._id,
+        parkingName: parking.name,
+        driverName: booking.user.name,
+        waitlistEntryId: entry._id,
+        startTime: booking.startTime,
+        totalAmount: booking.totalAmount,
+      }
+    });
+  } catch (notificationError) {
+    console.error('Failed to send notification to owner:', notificationError);
+  }
+
+  // Card bookings stay pending until the payment intent succeeds
+  const payment = await startCardPayment(booking);
+
+  res.status(201).json({
+    success: true,
+    message: 'Booking created successfully',
+    data: booking,
+    payment,
+  });
+});
+
+// 🟠 Owner: see who is waiting for a parking
+exports.getParkingWaitlist = catchAsync(async (req, res, next) => {
+  const parking = await findOwnedParking(req.params.id, req.user.id);
+  const { status = 'waiting' } = req.query;
+
+  const filter = { parking: parking._id };
+  if (status !== 'all') {
+    filter.status = status;
+  }
+
+  const entries = await WaitlistEntry.find(filter)
+    .populate('user', 'name phone')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries,
+  });
+});
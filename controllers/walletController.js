@@ -0,0 +1,68 @@
+// controllers/walletController.js
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/AppError');
+const { createTopupPayment } = require('../utils/payments');
+const { round } = require('../utils/pricing');
+const { MIN_TOPUP_AMOUNT, MAX_TOPUP_AMOUNT } = require('../utils/wallet');
+
+// Get wallet balance
+exports.getWallet = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('wallet');
+
+  res.status(200).json({
+    success: true,
+    data: user.wallet,
+  });
+});
+
+// Get wallet transactions (newest first)
+exports.getTransactions = catchAsync(async (req, res, next) => {
+  const { type, page = 1, limit = 20 } = req.query;
+
+  const filter = { user: req.user.id };
+  if (type) {
+    filter.type = type;
+  }
+
+  const transactions = await WalletTransaction.find(filter)
+    .populate('booking', 'parking startTime endTime status')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await WalletTransaction.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: transactions.length,
+    total,
+    pages: Math.ceil(total / limit),
+    data: transactions,
+  });
+});
+
+// Start a top-up; the wallet is credited when the payment succeeds
+exports.topUp = catchAsync(async (req, res, next) => {
+  const amount = Number(req.body.amount);
+
+  if (!Number.isFinite(amount) || amount < MIN_TOPUP_AMOUNT || amount > MAX_TOPUP_AMOUNT) {
+    return next(new AppError(400, `Top-up amount must be between ${MIN_TOPUP_AMOUNT} and ${MAX_TOPUP_AMOUNT}`));
+  }
+
+  const payment = await createTopupPayment(req.user.id, round(amount));
+
+  res.status(201).json({
+    success: true,
+    message: 'Confirm the payment to credit your wallet',
+    data: {
+      intentId: payment.providerIntentId,
+      clientSecret: payment.clientSecret,
+      provider: payment.provider,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+    },
+  });
+});
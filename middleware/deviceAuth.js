@@ -0,0 +1,45 @@
+// middleware/deviceAuth.js
+
+const GateDevice = require('../models/GateDevice');
+const OccupancySensor = require('../models/OccupancySensor');
+
+// Devices send their API key in the `X-Api-Key` header; the device is set on `req[property]`
+const authenticateDevice = (Device, property, label) => async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: `${label} API key is required`
+      });
+    }
+
+    const device = await Device.findOne({ apiKeyHash: Device.hashApiKey(apiKey) })
+      .populate('parking', 'name owner totalSpots');
+
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        message: `Invalid ${label.toLowerCase()} API key`
+      });
+    }
+
+    if (!device.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: `${label} is deactivated`
+      });
+    }
+
+    await Device.updateOne({ _id: device._id }, { lastSeenAt: new Date() });
+
+    req[property] = device;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.authenticateGate = authenticateDevice(GateDevice, 'gate', 'Gate');
+exports.authenticateSensor = authenticateDevice(OccupancySensor, 'sensor', 'Sensor');
@@ -1,4 +1,31 @@
 const mongoose = require('mongoose');
+const PassPlan = require('./PassPlan');
+const WaitlistEntry = require('./WaitlistEntry');
+const BookingHold = require('./BookingHold');
+const { getOverstayRate } = require('../utils/pricing');
+const { signQrToken } = require('../utils/qrTokens');
+
+// One entry per status change (see utils/bookingStateMachine)
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Empty for system transitions
+  },
+  actorRole: {
+    type: String,
+    enum: ['driver', 'owner', 'system'],
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema(
   {
@@ -12,14 +39,27 @@ const bookingSchema = new mongoose.Schema(
       ref: 'Parking',
       required: [true, 'Booking must belong to a parking'],
     },
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingSeries', // Parent of a recurring booking
+    },
+    spot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingSpot', // Assigned spot when the parking has a spot inventory
+    },
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+    },
+    plate: String, // Normalized plate of the vehicle when booked (the vehicle may be edited or removed later)
     startTime: {
       type: Date,
       required: [true, 'Please provide booking start time'],
     },
     duration: {
-      type: Number, // in hours
+      type: Number, // in hours, in 15 minute blocks (0.25, 0.5, ...)
       required: [true, 'Please provide booking duration'],
-      min: [1, 'Duration must be at least 1 hour'],
+      min: [0.25, 'Duration must be at least 15 minutes'],
     },
     endTime: {
       type: Date,
@@ -28,11 +68,30 @@ const bookingSchema = new mongoose.Schema(
       type: Number,
       required: [true, 'Please provide total amount'],
     },
+    // Itemized price from the pricing engine
+    priceBreakdown: [{
+      type: { type: String },
+      label: String,
+      hours: Number,
+      rate: Number,
+      amount: Number,
+      _id: false
+    }],
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'active', 'completed', 'cancelled', 'expired'],
+      enum: ['pending', 'confirmed', 'active', 'completed', 'cancelled', 'expired', 'no_show'],
       default: 'pending',
     },
+    // Promo code applied to the initial booking amount
+    discount: {
+      promoCode: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode' },
+      code: String,
+      amount: { type: Number, default: 0 },
+      // Terms of the code when it was applied
+      discountType: { type: String, enum: ['percentage', 'fixed'] },
+      discountValue: Number,
+      maxDiscount: Number,
+    },
     paymentMethod: {
       type: String,
       enum: ['cash', 'card', 'wallet'],
@@ -40,18 +99,47 @@ const bookingSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
       default: 'pending',
     },
+    // Still to be paid by card on a paid booking (a later reschedule or extension costs more)
+    amountDue: {
+      type: Number,
+      default: 0,
+    },
     qrCode: {
       type: String,
       unique: true,
     },
+    qrTokenId: String, // Id of the current signed QR code (older ones are revoked)
+    qrExpiresAt: Date,
     extended: {
       type: Boolean,
       default: false,
     },
     originalEndTime: Date, // For tracking extensions
+    extensions: [{
+      minutes: Number,
+      amount: Number, // Price of the extra time
+      at: { type: Date, default: Date.now },
+      _id: false
+    }],
+    reschedules: [{
+      fromStartTime: Date,
+      fromEndTime: Date,
+      toStartTime: Date,
+      toEndTime: Date,
+      amountDifference: Number, // Extra charge (positive) or refund (negative)
+      at: { type: Date, default: Date.now },
+      _id: false
+    }],
+    // Entry and exit through automatic barriers
+    gateEvents: [{
+      gate: { type: mongoose.Schema.Types.ObjectId, ref: 'GateDevice' },
+      direction: { type: String, enum: ['entry', 'exit'] },
+      at: { type: Date, default: Date.now },
+      _id: false
+    }],
     notes: String,
     isArrived: {
       type: Boolean,
@@ -79,9 +167,33 @@ const bookingSchema = new mongoose.Schema(
       type: Number, // Additional charge for overstay
       default: 0,
     },
+    overstayFlaggedAt: {
+      type: Date, // When the lifecycle worker detected the overstay
+    },
+    statusHistory: [statusHistorySchema],
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payout', // Owner statement this booking was settled in
+    },
+    // ✅ Cancellation details and refund
+    cancellation: {
+      cancelledAt: Date,
+      cancelledBy: { type: String, enum: ['driver', 'owner', 'system'] },
+      reason: String,
+      feePercent: Number,
+      cancellationFee: Number,
+      paidAmount: Number,
+      refundAmount: Number,
+      // Failed refunds are retried by the lifecycle worker (see utils/bookingStateMachine)
+      refundStatus: { type: String, enum: ['pending', 'succeeded', 'failed'] },
+      refundedAmount: { type: Number, default: 0 },
+      refundAttempts: { type: Number, default: 0 },
+      refundError: String,
+    },
   },
   { 
     timestamps: true,
+    optimisticConcurrency: true, // Concurrent status changes fail instead of overwriting each other
     toJSON: { virtuals: true },
     toObject: { virtuals: true }
   }
@@ -95,6 +207,14 @@ bookingSchema.pre('save', function(next) {
   next();
 });
 
+// Virtual for booked duration (in minutes)
+bookingSchema.virtual('durationMinutes').get(function() {
+  if (this.startTime && this.endTime) {
+    return Math.round((this.endTime - this.startTime) / (1000 * 60));
+  }
+  return Math.round((this.duration || 0) * 60);
+});
+
 // Virtual for checking if booking is active
 bookingSchema.virtual('isActive').get(function() {
   const now = new Date();
@@ -118,9 +238,9 @@ bookingSchema.virtual('elapsedTime').get(function() {
 
 // ✅ Virtual for remaining time (in minutes)
 bookingSchema.virtual('remainingTime').get(function() {
-  if (!this.actualStartTime) return this.duration * 60; // Return booking duration in minutes
+  if (!this.actualStartTime) return this.durationMinutes; // Return booking duration in minutes
   
-  const bookedDurationMinutes = this.duration * 60;
+  const bookedDurationMinutes = this.durationMinutes;
   const elapsed = this.elapsedTime;
   const remaining = bookedDurationMinutes - elapsed;
   
@@ -131,22 +251,32 @@ bookingSchema.virtual('remainingTime').get(function() {
 bookingSchema.virtual('isOverstayed').get(function() {
   if (!this.actualStartTime || this.status === 'completed') return false;
   
-  return this.elapsedTime > (this.duration * 60);
+  return this.elapsedTime > this.durationMinutes;
 });
 
 // Index for better query performance
 bookingSchema.index({ user: 1, createdAt: -1 });
 bookingSchema.index({ parking: 1, startTime: 1, endTime: 1 });
+bookingSchema.index({ spot: 1, startTime: 1, endTime: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ series: 1, startTime: 1 });
+bookingSchema.index({ status: 1, paymentStatus: 1, payout: 1, actualEndTime: 1 });
 bookingSchema.index({ qrCode: 1 });
+bookingSchema.index({ plate: 1, startTime: 1 });
+
+// Statuses in which a booking takes capacity (the same set the capacity ledger seeds from)
+bookingSchema.statics.OCCUPYING_STATUSES = ['pending', 'confirmed', 'active'];
 
 // Static method to check parking availability
-bookingSchema.statics.checkAvailability = async function(parkingId, startTime, duration) {
-  const endTime = new Date(startTime.getTime() + duration * 60 * 60 * 1000);
+// `durationOrEndTime` is a duration in hours or an explicit end time
+bookingSchema.statics.checkAvailability = async function(parkingId, startTime, durationOrEndTime) {
+  const endTime = durationOrEndTime instanceof Date
+    ? durationOrEndTime
+    : new Date(startTime.getTime() + durationOrEndTime * 60 * 60 * 1000);
   
   const conflictingBookings = await this.countDocuments({
     parking: parkingId,
-    status: { $in: ['confirmed', 'active'] },
+    status: { $in: this.OCCUPYING_STATUSES },
     $or: [
       {
         startTime: { $lt: endTime },
@@ -155,12 +285,29 @@ bookingSchema.statics.checkAvailability = async function(parkingId, startTime, d
     ]
   });
 
-  return conflictingBookings;
+  // Spots reserved for pass holders count as taken
+  const reservedSpots = await PassPlan.getReservedSpots(parkingId, startTime, endTime);
+
+  // So do spots held during checkout or for drivers from the waitlist
+  const heldSpots = await BookingHold.countHolds(parkingId, startTime, endTime) +
+    await WaitlistEntry.countHolds(parkingId, startTime, endTime);
+
+  return conflictingBookings + reservedSpots + heldSpots;
 };
 
-// Method to generate QR code
+// Method to generate a signed QR code for the booking window (callers revoke the previous one)
 bookingSchema.methods.generateQRCode = function() {
-  this.qrCode = `PARKLY-${this._id}-${Date.now()}`;
+  const endTime = new Date(this.startTime.getTime() + this.duration * 60 * 60 * 1000);
+  const { token, tokenId, expiresAt } = signQrToken({
+    bookingId: this._id,
+    parkingId: this.parking._id,
+    startTime: this.startTime,
+    endTime,
+  });
+
+  this.qrCode = token;
+  this.qrTokenId = tokenId;
+  this.qrExpiresAt = expiresAt;
   return this.qrCode;
 };
 
@@ -171,11 +318,12 @@ bookingSchema.methods.calculateOverstayCharge = async function() {
   const parking = await mongoose.model('Parking').findById(this.parking);
   if (!parking) return 0;
   
-  const overstayMinutes = this.elapsedTime - (this.duration * 60);
-  const overstayHours = Math.ceil(overstayMinutes / 60);
+  const overstayMinutes = this.elapsedTime - this.durationMinutes;
+  // Overstay is billed in started 15 minute blocks
+  const overstayHours = Math.ceil(overstayMinutes / 15) / 4;
   
-  // Charge 1.5x the regular rate for overstay
-  const overstayRate = parking.pricePerHour * 1.5;
+  // Overstay rate is the regular rate times the parking's overstay multiplier
+  const overstayRate = getOverstayRate(parking);
   const charge = overstayHours * overstayRate;
   
   this.overstayDuration = overstayMinutes;
@@ -0,0 +1,81 @@
+// models/BookingHold.js
+// Capacity reserved for a few minutes while the driver checks out. The hold id
+// is the holder on the capacity ledger until the hold is converted into a
+// booking (which takes the slots over) or expires.
+const mongoose = require('mongoose');
+
+const bookingHoldSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Hold must belong to a user'],
+    },
+    parking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking',
+      required: [true, 'Hold must belong to a parking'],
+    },
+    spot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingSpot', // Held spot when the parking has a spot inventory
+    },
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: true,
+    },
+    duration: Number, // in hours
+    durationMinutes: Number,
+    status: {
+      type: String,
+      enum: ['active', 'converted', 'released', 'expired'],
+      default: 'active',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
+  },
+  { timestamps: true }
+);
+
+const activeHoldFilter = (startTime, endTime) => ({
+  status: 'active',
+  expiresAt: { $gt: new Date() },
+  startTime: { $lt: endTime },
+  endTime: { $gt: startTime },
+});
+
+// Active holds overlapping a window count as taken spots
+bookingHoldSchema.statics.countHolds = function(parkingId, startTime, endTime) {
+  return this.countDocuments({ parking: parkingId, ...activeHoldFilter(startTime, endTime) });
+};
+
+// Active holds overlapping a window per parking, as [{ parking, spots }] (for search results)
+bookingHoldSchema.statics.countHoldsByParking = function(parkingIds, startTime, endTime) {
+  return this.aggregate([
+    { $match: { parking: { $in: parkingIds }, ...activeHoldFilter(startTime, endTime) } },
+    { $group: { _id: '$parking', spots: { $sum: 1 } } },
+    { $project: { _id: 0, parking: '$_id', spots: 1 } },
+  ]);
+};
+
+// Spots held during a window
+bookingHoldSchema.statics.getHeldSpotIds = function(parkingId, startTime, endTime) {
+  return this.distinct('spot', { parking: parkingId, spot: { $ne: null }, ...activeHoldFilter(startTime, endTime) });
+};
+
+bookingHoldSchema.index({ parking: 1, status: 1, startTime: 1, endTime: 1 });
+bookingHoldSchema.index({ user: 1, status: 1 });
+bookingHoldSchema.index({ status: 1, expiresAt: 1 });
+
+const BookingHold = mongoose.model('BookingHold', bookingHoldSchema);
+module.exports = BookingHold;
@@ -0,0 +1,71 @@
+// models/BookingSeries.js
+// Parent of a set of recurring bookings created from one recurrence rule.
+const mongoose = require('mongoose');
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const recurrenceSchema = new mongoose.Schema({
+  daysOfWeek: {
+    type: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+    default: [0, 1, 2, 3, 4, 5, 6],
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_FORMAT, 'Time must be in HH:mm format'],
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_FORMAT, 'Time must be in HH:mm format'],
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: Date,
+  count: Number,
+}, { _id: false });
+
+const bookingSeriesSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Series must belong to a user'],
+    },
+    parking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking',
+      required: [true, 'Series must belong to a parking'],
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      required: true,
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'wallet'],
+      default: 'cash',
+    },
+    notes: String,
+    status: {
+      type: String,
+      enum: ['active', 'cancelled'],
+      default: 'active',
+    },
+    skippedOccurrences: [{
+      startTime: Date,
+      endTime: Date,
+      reason: String,
+      _id: false
+    }],
+    cancelledAt: Date,
+  },
+  { timestamps: true }
+);
+
+bookingSeriesSchema.index({ user: 1, createdAt: -1 });
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+module.exports = BookingSeries;
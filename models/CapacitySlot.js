@@ -0,0 +1,30 @@
+// models/CapacitySlot.js
+const mongoose = require('mongoose');
+
+// One document per resource (parking or spot) and time slot.
+// `holders` lists the bookings that occupy the slot, so capacity checks
+// and releases are single atomic updates on this document.
+const capacitySlotSchema = new mongoose.Schema(
+  {
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    slotStart: {
+      type: Date,
+      required: true,
+    },
+    holders: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+capacitySlotSchema.index({ resource: 1, slotStart: 1 }, { unique: true });
+// Past slots are no longer needed
+capacitySlotSchema.index({ slotStart: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const CapacitySlot = mongoose.model('CapacitySlot', capacitySlotSchema);
+module.exports = CapacitySlot;
@@ -0,0 +1,28 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// Named sequences for document numbers (e.g. invoices). Numbers are gap-free when taken
+// in the same transaction as the document that uses them (see utils/invoice).
+const counterSchema = new mongoose.Schema(
+  {
+    _id: String, // Sequence name
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// Atomically take the next number of a sequence, optionally inside a transaction `session`
+counterSchema.statics.next = async function(name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+module.exports = Counter;
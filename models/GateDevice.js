@@ -0,0 +1,66 @@
+// models/GateDevice.js
+// Automatic barrier at a parking. The gate authenticates with its API key and asks
+// the API whether to open for a scanned QR code or plate (see routes/gate.js).
+const mongoose = require('mongoose');
+const { hashApiKey, generateApiKey } = require('../utils/deviceKeys');
+
+const API_KEY_PREFIX = 'gate_';
+
+const gateDeviceSchema = new mongoose.Schema(
+  {
+    parking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking',
+      required: [true, 'Gate must belong to a parking'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide the gate name'],
+      trim: true,
+      maxlength: [50, 'Name cannot be more than 50 characters'],
+    },
+    // Which way cars pass this gate; `both` works out the direction from the booking
+    direction: {
+      type: String,
+      enum: ['entry', 'exit', 'both'],
+      default: 'both',
+    },
+    // Only the hash of the key is stored; the key is shown once when created or rotated
+    apiKeyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    keyPrefix: String, // Start of the key, to tell keys apart
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastSeenAt: Date,
+  },
+  { timestamps: true }
+);
+
+gateDeviceSchema.index({ parking: 1, name: 1 }, { unique: true });
+
+gateDeviceSchema.statics.hashApiKey = hashApiKey;
+
+// Give the gate a new API key (the old one stops working) and return it
+gateDeviceSchema.methods.generateApiKey = function() {
+  const { apiKey, apiKeyHash, keyPrefix } = generateApiKey(API_KEY_PREFIX);
+
+  this.apiKeyHash = apiKeyHash;
+  this.keyPrefix = keyPrefix;
+  return apiKey;
+};
+
+// Never send the key hash to clients
+gateDeviceSchema.methods.toJSON = function() {
+  const gate = this.toObject();
+  delete gate.apiKeyHash;
+  return gate;
+};
+
+const GateDevice = mongoose.model('GateDevice', gateDeviceSchema);
+module.exports = GateDevice;
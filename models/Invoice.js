@@ -0,0 +1,82 @@
+// models/Invoice.js
+// Receipt issued when a booking is completed. Parties are copied onto the
+// invoice so it stays unchanged if the parking or the users are edited later.
+const mongoose = require('mongoose');
+
+const invoiceLineSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['base', 'discount', 'extension', 'overstay'],
+    required: true,
+  },
+  minutes: Number,
+  amount: {
+    type: Number,
+    required: true,
+  },
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  email: String,
+  phone: String,
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+      unique: true, // One invoice per booking
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    driver: partySchema,
+    ownerDetails: partySchema,
+    parking: {
+      _id: mongoose.Schema.Types.ObjectId,
+      name: String,
+      address: String,
+      city: String,
+      contactPhone: String,
+    },
+    startTime: Date,
+    endTime: Date,
+    actualStartTime: Date,
+    actualEndTime: Date,
+    paymentMethod: String,
+    currency: {
+      type: String,
+      default: 'MAD',
+    },
+    lines: [invoiceLineSchema],
+    taxPercent: Number,
+    subtotal: Number, // Before tax
+    taxAmount: Number,
+    total: Number, // Prices include tax
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+module.exports = Invoice;
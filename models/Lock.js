@@ -0,0 +1,44 @@
+// models/Lock.js
+const mongoose = require('mongoose');
+
+// Lease locks so only one API instance runs a background job at a time
+const lockSchema = new mongoose.Schema(
+  {
+    _id: String, // Lock name
+    holder: {
+      type: String,
+      required: true,
+    },
+    lockedUntil: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Take (or renew) the lease. Returns false while another holder owns it.
+lockSchema.statics.acquire = async function(name, holder, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: name, $or: [{ lockedUntil: { $lte: now } }, { holder }] },
+      { holder, lockedUntil: new Date(now.getTime() + ttlMs) },
+      { upsert: true, new: true }
+    );
+    return lock.holder === holder;
+  } catch (error) {
+    // The lock exists and is held by someone else
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Give the lease back early
+lockSchema.statics.release = async function(name, holder) {
+  await this.updateOne({ _id: name, holder }, { lockedUntil: new Date(0) });
+};
+
+const Lock = mongoose.model('Lock', lockSchema);
+module.exports = Lock;
@@ -18,7 +18,25 @@ const notificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['booking_created', 'booking_confirmed', 'booking_cancelled', 'booking_reminder', 'system'],
+      enum: [
+        'booking_created',
+        'booking_confirmed',
+        'booking_cancelled',
+        'booking_completed',
+        'booking_reminder',
+        'booking_expired',
+        'booking_no_show',
+        'booking_overstay',
+        'booking_rescheduled',
+        'payout_created',
+        'payout_paid',
+        'pass_purchased',
+        'pass_renewed',
+        'pass_expired',
+        'waitlist_offer',
+        'waitlist_expired',
+        'system'
+      ],
       default: 'system',
     },
     relatedBooking: {
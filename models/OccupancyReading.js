@@ -0,0 +1,39 @@
+// models/OccupancyReading.js
+// Time series of sensor readings. Each reading also records the parking's
+// occupancy right after it, so history can be charted without replaying sensors.
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.OCCUPANCY_RETENTION_DAYS) || 90;
+
+const occupancyReadingSchema = new mongoose.Schema(
+  {
+    parking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking',
+      required: true,
+    },
+    sensor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OccupancySensor',
+      required: true,
+    },
+    spot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingSpot',
+    },
+    occupied: Boolean, // Spot sensor reading
+    occupiedSpots: Number, // Counter reading
+    parkingOccupiedSpots: Number, // Whole parking after this reading (see utils/occupancy)
+    at: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: false }
+);
+
+occupancyReadingSchema.index({ parking: 1, at: -1 });
+occupancyReadingSchema.index({ at: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const OccupancyReading = mongoose.model('OccupancyReading', occupancyReadingSchema);
+module.exports = OccupancyReading;
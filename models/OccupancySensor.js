@@ -0,0 +1,75 @@
+// models/OccupancySensor.js
+// Occupancy sensor at a parking: either a bay sensor watching one spot, or a counter
+// (entry/exit loop, camera) reporting how many cars are in the whole parking.
+// Sensors push readings with their API key (see routes/sensor.js); the latest
+// reading is kept here for live occupancy and every reading in OccupancyReading.
+const mongoose = require('mongoose');
+const { hashApiKey, generateApiKey } = require('../utils/deviceKeys');
+
+const API_KEY_PREFIX = 'sensor_';
+
+const occupancySensorSchema = new mongoose.Schema(
+  {
+    parking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking',
+      required: [true, 'Sensor must belong to a parking'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide the sensor name'],
+      trim: true,
+      maxlength: [50, 'Name cannot be more than 50 characters'],
+    },
+    type: {
+      type: String,
+      enum: ['spot', 'counter'],
+      required: [true, 'Please provide the sensor type'],
+    },
+    spot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingSpot',
+      required: [function() { return this.type === 'spot'; }, 'Spot sensors must watch a spot'],
+    },
+    apiKeyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    keyPrefix: String,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastSeenAt: Date,
+    // Latest reading
+    occupied: Boolean, // Spot sensors
+    occupiedSpots: Number, // Counters
+    reportedAt: Date,
+  },
+  { timestamps: true }
+);
+
+occupancySensorSchema.index({ parking: 1, name: 1 }, { unique: true });
+
+occupancySensorSchema.statics.hashApiKey = hashApiKey;
+
+// Give the sensor a new API key (the old one stops working) and return it
+occupancySensorSchema.methods.generateApiKey = function() {
+  const { apiKey, apiKeyHash, keyPrefix } = generateApiKey(API_KEY_PREFIX);
+
+  this.apiKeyHash = apiKeyHash;
+  this.keyPrefix = keyPrefix;
+  return apiKey;
+};
+
+// Never send the key hash to clients
+occupancySensorSchema.methods.toJSON = function() {
+  const sensor = this.toObject();
+  delete sensor.apiKeyHash;
+  return sensor;
+};
+
+const OccupancySensor = mongoose.model('OccupancySensor', occupancySensorSchema);
+module.exports = OccupancySensor;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { MAX_EARLY_ARRIVAL_MINUTES } = require('../utils/checkIn');
+const { DEFAULT_TIMEZONE, TIME_FORMAT, isValidTimezone } = require('../utils/openingHours');
 
 const imageSchema = new mongoose.Schema({
   url: {
@@ -13,6 +15,69 @@ const imageSchema = new mongoose.Schema({
   height: Number
 });
 
+// Per-weekday hours, overriding `openingHours` for that day (0 = Sunday)
+const weeklyHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  isClosed: { type: Boolean, default: false },
+  open24: { type: Boolean, default: false },
+  openTime: { type: String, match: [TIME_FORMAT, 'Time must be in HH:mm format'] },
+  closeTime: { type: String, match: [TIME_FORMAT, 'Time must be in HH:mm format'] }
+});
+
+// Holidays, maintenance days and other closures
+const closureSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide the closure start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please provide the closure end date']
+  },
+  type: {
+    type: String,
+    enum: ['holiday', 'maintenance', 'other'],
+    default: 'other'
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+});
+
+// Rate table used by the pricing engine; `pricePerHour` is the standard (off-peak) rate
+const pricingSchema = new mongoose.Schema({
+  firstHourPrice: { type: Number, min: 0 },
+  peakPricePerHour: { type: Number, min: 0 },
+  peakHours: [{
+    startTime: { type: String, required: true, match: [TIME_FORMAT, 'Time must be in HH:mm format'] },
+    endTime: { type: String, required: true, match: [TIME_FORMAT, 'Time must be in HH:mm format'] },
+    _id: false
+  }],
+  weekendPricePerHour: { type: Number, min: 0 },
+  weekendDays: { type: [Number], default: [0, 6] },
+  dailyMax: { type: Number, min: 0 },
+  overstayMultiplier: { type: Number, min: 1, default: 1.5 }
+}, { _id: false });
+
+// Drivers cancel for free until `freeCancellationHours` before start, then pay a percentage fee
+const cancellationPolicySchema = new mongoose.Schema({
+  freeCancellationHours: { type: Number, min: 0, default: 1 },
+  lateCancellationFeePercent: { type: Number, min: 0, max: 100, default: 100 }
+}, { _id: false });
+
+// How early drivers may check in before the start time and how late they may still
+// arrive before becoming a no-show (unset values use the defaults in utils/checkIn.js)
+const checkInPolicySchema = new mongoose.Schema({
+  earlyArrivalMinutes: { type: Number, min: 0, max: MAX_EARLY_ARRIVAL_MINUTES },
+  lateArrivalMinutes: { type: Number, min: 0 }
+}, { _id: false });
+
 const parkingSchema = new mongoose.Schema(
   {
     owner: {
@@ -72,6 +137,18 @@ const parkingSchema = new mongoose.Schema(
       type: Number,
       required: [true, 'Please provide a price per hour'],
     },
+    pricing: {
+      type: pricingSchema,
+      default: () => ({}),
+    },
+    cancellationPolicy: {
+      type: cancellationPolicySchema,
+      default: () => ({}),
+    },
+    checkInPolicy: {
+      type: checkInPolicySchema,
+      default: () => ({}),
+    },
     description: {
       type: String,
       trim: true,
@@ -84,9 +161,17 @@ const parkingSchema = new mongoose.Schema(
     images: [imageSchema],
     openingHours: {
       open24: { type: Boolean, default: true },
-      openTime: { type: String, default: '08:00' },
-      closeTime: { type: String, default: '22:00' },
+      openTime: { type: String, default: '08:00', match: [TIME_FORMAT, 'Time must be in HH:mm format'] },
+      closeTime: { type: String, default: '22:00', match: [TIME_FORMAT, 'Time must be in HH:mm format'] },
+    },
+    // Opening hours, weekday hours and whole-day closures are in this timezone (IANA name)
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: [isValidTimezone, 'Unknown timezone'],
     },
+    weeklyHours: [weeklyHoursSchema],
+    closures: [closureSchema],
     contactPhone: {
       type: String,
       trim: true,
@@ -107,21 +192,29 @@ const parkingSchema = new mongoose.Schema(
 parkingSchema.index({ location: '2dsphere' });
 
 // Add method to check availability
-parkingSchema.methods.checkAvailability = async function(startTime, duration) {
+// `durationOrEndTime` is a duration in hours or an explicit end time
+parkingSchema.methods.checkAvailability = async function(startTime, durationOrEndTime) {
   const Booking = mongoose.model('Booking');
-  const endTime = new Date(startTime.getTime() + duration * 60 * 60 * 1000);
+  const endTime = durationOrEndTime instanceof Date
+    ? durationOrEndTime
+    : new Date(startTime.getTime() + durationOrEndTime * 60 * 60 * 1000);
   
   const activeBookings = await Booking.countDocuments({
     parking: this._id,
-    status: { $in: ['confirmed', 'active'] },
+    status: { $in: Booking.OCCUPYING_STATUSES },
     $or: [
       { startTime: { $lt: endTime }, endTime: { $gt: startTime } }
     ]
   });
+  const reservedSpots = await mongoose.model('PassPlan').getReservedSpots(this._id, startTime, endTime);
+  const heldSpots = await mongoose.model('BookingHold').countHolds(this._id, startTime, endTime) +
+    await mongoose.model('WaitlistEntry').countHolds(this._id, startTime, endTime);
+  const takenSpots = activeBookings + reservedSpots + heldSpots;
 
   return {
-    available: activeBookings < this.totalSpots,
-    availableSpots: this.totalSpots - activeBookings,
+    available: takenSpots < this.totalSpots,
+    availableSpots: Math.max(0, this.totalSpots - takenSpots),
+    reservedSpots,
     totalSpots: this.totalSpots
   };
 };
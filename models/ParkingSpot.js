@@ -0,0 +1,83 @@
+// models/ParkingSpot.js
+const mongoose = require('mongoose');
+
+const parkingSpotSchema = new mongoose.Schema(
+  {
+    parking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking',
+      required: [true, 'Spot must belong to a parking'],
+    },
+    label: {
+      type: String,
+      required: [true, 'Please provide the spot label'],
+      trim: true,
+      uppercase: true,
+    },
+    level: {
+      type: String,
+      trim: true,
+      default: '0',
+    },
+    sizeClass: {
+      type: String,
+      enum: ['small', 'standard', 'large'],
+      default: 'standard',
+    },
+    hasEvCharger: {
+      type: Boolean,
+      default: false,
+    },
+    isAccessible: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A label can only be used once per parking
+parkingSpotSchema.index({ parking: 1, label: 1 }, { unique: true });
+
+// Statuses in which a booking keeps its spot assigned
+parkingSpotSchema.statics.OCCUPYING_STATUSES = ['pending', 'confirmed', 'active'];
+
+// Find active spots of a parking that are not assigned to an overlapping booking or hold
+parkingSpotSchema.statics.findFreeSpots = async function(parkingId, startTime, endTime, criteria = {}) {
+  const Booking = mongoose.model('Booking');
+
+  const takenSpotIds = await Booking.distinct('spot', {
+    parking: parkingId,
+    spot: { $ne: null },
+    status: { $in: this.OCCUPYING_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  });
+  const heldSpotIds = await mongoose.model('BookingHold').getHeldSpotIds(parkingId, startTime, endTime);
+
+  return this.find({
+    ...criteria,
+    parking: parkingId,
+    isActive: true,
+    _id: { $nin: [...takenSpotIds, ...heldSpotIds] }
+  }).sort({ level: 1, label: 1 });
+};
+
+// Keep Parking.totalSpots in sync with the number of active spots (the spot controller
+// refuses to deactivate or delete the last active one)
+parkingSpotSchema.statics.syncParkingCapacity = async function(parkingId) {
+  const activeSpots = await this.countDocuments({ parking: parkingId, isActive: true });
+
+  if (activeSpots > 0) {
+    await mongoose.model('Parking').updateOne({ _id: parkingId }, { totalSpots: activeSpots });
+  }
+
+  return activeSpots;
+};
+
+const ParkingSpot = mongoose.model('ParkingSpot', parkingSpotSchema);
+module.exports = ParkingSpot;
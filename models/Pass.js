@@ -0,0 +1,81 @@
+// models/Pass.js
+// A driver's subscription to a pass plan. The QR code stays the same across
+// renewals and is accepted by the owner's scanner for every visit.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const passPeriodSchema = new mongoose.Schema({
+  validFrom: Date,
+  validUntil: Date,
+  amount: Number,
+  paidAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const passSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Pass must belong to a user'],
+    },
+    parking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking',
+      required: true,
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PassPlan',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['monthly', 'weekday', 'night'],
+      required: true,
+    },
+    validFrom: {
+      type: Date,
+      required: true,
+    },
+    validUntil: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'expired', 'cancelled'],
+      default: 'active',
+    },
+    autoRenew: {
+      type: Boolean,
+      default: true,
+    },
+    qrCode: {
+      type: String,
+      unique: true,
+    },
+    periods: [passPeriodSchema], // One entry per paid period (purchase and renewals)
+    lastScannedAt: Date,
+  },
+  { timestamps: true }
+);
+
+passSchema.methods.generateQRCode = function() {
+  this.qrCode = `PARKLY-PASS-${this._id}-${crypto.randomBytes(6).toString('hex')}`;
+  return this.qrCode;
+};
+
+passSchema.virtual('isValidNow').get(function() {
+  const now = new Date();
+  return this.status === 'active' && this.validFrom <= now && this.validUntil > now;
+});
+
+passSchema.index({ user: 1, createdAt: -1 });
+passSchema.index({ plan: 1, status: 1, validFrom: 1, validUntil: 1 });
+passSchema.index({ status: 1, validUntil: 1 });
+
+const Pass = mongoose.model('Pass', passSchema);
+module.exports = Pass;
@@ -0,0 +1,111 @@
+// models/PassPlan.js
+// Pass product sold by an owner. Each plan holds a fixed number of spots that
+// regular bookings cannot use while the plan's schedule is running.
+const mongoose = require('mongoose');
+const { getLocalTime } = require('../utils/openingHours');
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CHECK_STEP_MINUTES = 5;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const passPlanSchema = new mongoose.Schema(
+  {
+    parking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking',
+      required: [true, 'Pass plan must belong to a parking'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide the plan name'],
+      trim: true,
+      maxlength: [60, 'Name cannot be more than 60 characters'],
+    },
+    description: String,
+    // monthly: any time, weekday: Monday to Friday, night: between nightStart and nightEnd
+    type: {
+      type: String,
+      enum: ['monthly', 'weekday', 'night'],
+      required: [true, 'Please select the pass type'],
+    },
+    price: {
+      type: Number,
+      required: [true, 'Please provide the pass price'],
+      min: [0, 'Price cannot be negative'],
+    },
+    durationDays: {
+      type: Number,
+      default: 30,
+      min: [1, 'Duration must be at least one day'],
+    },
+    reservedSpots: {
+      type: Number,
+      required: [true, 'Please provide the number of reserved spots'],
+      min: [1, 'At least one spot must be reserved'],
+    },
+    nightStart: {
+      type: String,
+      default: '19:00',
+      match: [TIME_FORMAT, 'Time must be in HH:mm format'],
+    },
+    nightEnd: {
+      type: String,
+      default: '08:00',
+      match: [TIME_FORMAT, 'Time must be in HH:mm format'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Whether the plan's schedule includes this moment, read in the parking's timezone
+passPlanSchema.methods.coversTime = function(date, parking) {
+  const time = getLocalTime(parking, date);
+
+  if (this.type === 'weekday') {
+    return time.isoWeekday() <= 5;
+  }
+
+  if (this.type === 'night') {
+    const minute = time.hours() * 60 + time.minutes();
+    const start = toMinutes(this.nightStart);
+    const end = toMinutes(this.nightEnd);
+    return start <= end
+      ? minute >= start && minute < end
+      : minute >= start || minute < end; // Overnight
+  }
+
+  return true;
+};
+
+// Whether the plan's schedule includes any moment of [startTime, endTime)
+passPlanSchema.methods.coversWindow = function(startTime, endTime, parking) {
+  if (this.type === 'monthly') return true;
+
+  const step = CHECK_STEP_MINUTES * 60 * 1000;
+  for (let time = startTime.getTime(); time < endTime.getTime(); time += step) {
+    if (this.coversTime(new Date(time), parking)) return true;
+  }
+  return false;
+};
+
+// Spots held back by active plans at any moment of a window
+passPlanSchema.statics.getReservedSpots = async function(parkingId, startTime, endTime) {
+  const plans = await this.find({ parking: parkingId, isActive: true }).populate('parking', 'timezone');
+
+  return plans
+    .filter(plan => plan.coversWindow(startTime, endTime, plan.parking))
+    .reduce((total, plan) => total + plan.reservedSpots, 0);
+};
+
+passPlanSchema.index({ parking: 1, isActive: 1 });
+
+const PassPlan = mongoose.model('PassPlan', passPlanSchema);
+module.exports = PassPlan;
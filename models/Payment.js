@@ -0,0 +1,74 @@
+// models/Payment.js
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  providerRefundId: String,
+  amount: {
+    type: Number,
+    required: true,
+  },
+  reason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema(
+  {
+    purpose: {
+      type: String,
+      enum: ['booking', 'wallet_topup'],
+      default: 'booking',
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: [function() { return this.purpose === 'booking'; }, 'Payment must belong to a booking'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Payment must belong to a user'],
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    providerIntentId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: 'MAD',
+    },
+    status: {
+      type: String,
+      enum: ['requires_confirmation', 'succeeded', 'failed', 'refunded', 'partially_refunded', 'cancelled'],
+      default: 'requires_confirmation',
+    },
+    clientSecret: String, // Handed to the driver app to confirm the payment
+    failureReason: String,
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    refunds: [refundSchema],
+    processedEvents: {
+      type: [String], // Provider event ids already handled (webhook idempotency)
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ booking: 1, createdAt: -1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+module.exports = Payment;
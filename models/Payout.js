@@ -0,0 +1,94 @@
+// models/Payout.js
+// Statement of what the platform owes an owner for one payout period.
+const mongoose = require('mongoose');
+
+const payoutLineSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+  },
+  parking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parking',
+  },
+  parkingName: String,
+  completedAt: Date,
+  paymentMethod: String,
+  bookingAmount: Number,
+  overstayCharge: Number,
+  uncollectedAmount: Number, // Owed by the driver but not collected (e.g. card overstay), not paid out
+  grossAmount: Number,
+  commissionPercent: Number,
+  commission: Number,
+  netAmount: Number,
+}, { _id: false });
+
+const payoutSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Payout must belong to an owner'],
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    // Further statements of a period that was already paid out (bookings settled late)
+    sequence: {
+      type: Number,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid'],
+      default: 'pending',
+    },
+    currency: {
+      type: String,
+      default: 'MAD',
+    },
+    lines: [payoutLineSchema],
+    bookingCount: {
+      type: Number,
+      default: 0,
+    },
+    grossAmount: {
+      type: Number,
+      default: 0,
+    },
+    commission: {
+      type: Number,
+      default: 0,
+    },
+    netAmount: {
+      type: Number,
+      default: 0,
+    },
+    paidAt: Date,
+    paymentReference: String, // Bank transfer reference
+  },
+  { timestamps: true }
+);
+
+// Recompute the totals from the lines
+payoutSchema.methods.calculateTotals = function() {
+  const sum = (field) => Math.round(this.lines.reduce((total, line) => total + line[field], 0) * 100) / 100;
+
+  this.bookingCount = this.lines.length;
+  this.grossAmount = sum('grossAmount');
+  this.commission = sum('commission');
+  this.netAmount = sum('netAmount');
+};
+
+// Replaces the former unique { owner, periodStart } index, which has to be dropped
+payoutSchema.index({ owner: 1, periodStart: 1, sequence: 1 }, { unique: true });
+payoutSchema.index({ owner: 1, status: 1, periodStart: -1 });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+module.exports = Payout;
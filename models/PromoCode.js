@@ -0,0 +1,113 @@
+// models/PromoCode.js
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Please provide the promo code'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, digits, dashes or underscores'],
+    },
+    description: {
+      type: String,
+      maxlength: [200, 'Description cannot be more than 200 characters'],
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: [true, 'Please select the discount type'],
+    },
+    discountValue: {
+      type: Number,
+      required: [true, 'Please provide the discount value'],
+      min: [0.01, 'Discount must be positive'],
+      validate: {
+        validator: function(value) {
+          return this.discountType !== 'percentage' || value <= 100;
+        },
+        message: 'Percentage discount cannot exceed 100',
+      },
+    },
+    maxDiscount: {
+      type: Number, // Cap for percentage discounts
+      min: 0,
+    },
+    minBookingAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Scope: empty lists mean no restriction
+    parkings: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking',
+    }],
+    cities: [String],
+    zones: [{
+      type: String,
+      enum: ['A', 'B', 'C', 'D'],
+    }],
+    firstBookingOnly: {
+      type: Boolean,
+      default: false,
+    },
+    maxRedemptions: {
+      type: Number, // Global cap, unlimited when not set
+      min: 1,
+    },
+    maxRedemptionsPerUser: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+    validFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    validUntil: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdByRole: {
+      type: String,
+      enum: ['owner', 'admin'], // Owner codes only apply to the owner's parkings
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Discount of promo terms ({ discountType, discountValue, maxDiscount }) on a booking amount
+// (never more than the amount itself). Bookings keep these terms to recompute it on reschedule.
+promoCodeSchema.statics.calculateDiscount = function(terms, amount) {
+  let discount = terms.discountType === 'percentage'
+    ? amount * terms.discountValue / 100
+    : terms.discountValue;
+
+  if (terms.discountType === 'percentage' && terms.maxDiscount) {
+    discount = Math.min(discount, terms.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+promoCodeSchema.methods.calculateDiscount = function(amount) {
+  return this.constructor.calculateDiscount(this, amount);
+};
+
+promoCodeSchema.index({ createdBy: 1, createdAt: -1 });
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+module.exports = PromoCode;
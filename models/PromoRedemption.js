@@ -0,0 +1,55 @@
+// models/PromoRedemption.js
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      required: true,
+    },
+    code: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+      unique: true, // One promo code per booking
+    },
+    discountAmount: {
+      type: Number,
+      required: true,
+    },
+    // Which of the driver's uses of the code this is (1..maxRedemptionsPerUser), unique while applied
+    slot: {
+      type: Number,
+      default: 1,
+    },
+    firstBooking: Boolean, // Code only valid on a first booking: one such redemption per driver while applied
+    status: {
+      type: String,
+      enum: ['applied', 'released'], // Released when the booking is cancelled or expires
+      default: 'applied',
+    },
+    releasedAt: Date,
+  },
+  { timestamps: true }
+);
+
+promoRedemptionSchema.index({ promoCode: 1, user: 1, status: 1 });
+// The unique indexes enforce the per-user limits atomically (see utils/promoCodes redeemPromoCode)
+promoRedemptionSchema.index(
+  { promoCode: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied' } }
+);
+promoRedemptionSchema.index(
+  { user: 1, firstBooking: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied', firstBooking: true } }
+);
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+module.exports = PromoRedemption;
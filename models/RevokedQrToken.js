@@ -0,0 +1,41 @@
+// models/RevokedQrToken.js
+// Booking QR codes that must no longer open the gate (replaced, cancelled or
+// already used). Attendant devices sync this list to reject codes offline.
+const mongoose = require('mongoose');
+
+const revokedQrTokenSchema = new mongoose.Schema(
+  {
+    tokenId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+    },
+    parking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking',
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ['rotated', 'rescheduled', 'cancelled', 'expired', 'no_show', 'completed'],
+      required: true,
+    },
+    // The code is invalid after this anyway, so the entry is removed then
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+revokedQrTokenSchema.index({ parking: 1, createdAt: 1 });
+revokedQrTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedQrToken = mongoose.model('RevokedQrToken', revokedQrTokenSchema);
+module.exports = RevokedQrToken;
@@ -0,0 +1,59 @@
+// models/ScanLog.js
+// One entry per QR code or plate scan at a parking: who scanned it (attendant
+// or gate), when, and whether the car was let in or out.
+const mongoose = require('mongoose');
+
+const scanLogSchema = new mongoose.Schema(
+  {
+    parking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking', // Unknown when the code could not be read
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
+    pass: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pass',
+    },
+    // Scans are made by an attendant or by a gate device
+    attendant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [function() { return !this.gate; }, 'Scan must be made by an attendant or a gate'],
+    },
+    gate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GateDevice',
+    },
+    direction: {
+      type: String,
+      enum: ['entry', 'exit'],
+    },
+    // QR code or license plate (camera or typed by the attendant)
+    method: {
+      type: String,
+      enum: ['qr', 'plate'],
+      default: 'qr',
+    },
+    plate: String,
+    result: {
+      type: String,
+      enum: ['accepted', 'rejected'],
+      required: true,
+    },
+    reason: String, // Why a scan was rejected
+    scannedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+scanLogSchema.index({ parking: 1, scannedAt: -1 });
+scanLogSchema.index({ booking: 1, scannedAt: 1 });
+
+const ScanLog = mongoose.model('ScanLog', scanLogSchema);
+module.exports = ScanLog;
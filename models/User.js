@@ -41,9 +41,20 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['driver', 'owner'],
+    enum: ['driver', 'owner', 'admin'], // Admins are created directly in the database
     default: 'driver'
   },
+  // Running total of the wallet ledger (see WalletTransaction)
+  wallet: {
+    balance: {
+      type: Number,
+      default: 0
+    },
+    currency: {
+      type: String,
+      default: 'MAD'
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
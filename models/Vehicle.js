@@ -0,0 +1,52 @@
+// models/Vehicle.js
+// A driver's car. Bookings record which vehicle parks so owners can find them by plate.
+const mongoose = require('mongoose');
+
+const vehicleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Vehicle must belong to a user'],
+    },
+    plate: {
+      type: String,
+      required: [true, 'Please provide the plate number'], // Normalized, see utils/plates
+    },
+    country: String, // ISO code of the plate, empty when unknown
+    make: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Make cannot be more than 50 characters'],
+    },
+    // Same classes as ParkingSpot.sizeClass
+    sizeClass: {
+      type: String,
+      enum: ['small', 'standard', 'large'],
+      default: 'standard',
+    },
+    isElectric: {
+      type: Boolean,
+      default: false,
+    },
+    // Used for bookings made without choosing a vehicle
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// A driver registers a plate once; several drivers may share a car
+vehicleSchema.index({ user: 1, plate: 1 }, { unique: true });
+
+// Spot sizes a vehicle of each size class fits in
+vehicleSchema.statics.FITTING_SPOT_SIZES = {
+  small: ['small', 'standard', 'large'],
+  standard: ['standard', 'large'],
+  large: ['large'],
+};
+
+const Vehicle = mongoose.model('Vehicle', vehicleSchema);
+module.exports = Vehicle;
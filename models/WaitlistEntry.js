@@ -0,0 +1,71 @@
+// models/WaitlistEntry.js
+// A driver waiting for a fully booked parking and time window. When capacity
+// frees up the first eligible entry is offered a hold on the capacity ledger
+// (the entry id is the holder) that the driver can turn into a booking.
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Waitlist entry must belong to a user'],
+    },
+    parking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parking',
+      required: [true, 'Waitlist entry must belong to a parking'],
+    },
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: true,
+    },
+    duration: Number, // in hours
+    durationMinutes: Number,
+    notes: String,
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+      default: 'waiting',
+    },
+    offeredAt: Date,
+    holdExpiresAt: Date, // The hold is released after this time
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
+  },
+  { timestamps: true }
+);
+
+const offeredHoldFilter = (startTime, endTime) => ({
+  status: 'offered',
+  holdExpiresAt: { $gt: new Date() },
+  startTime: { $lt: endTime },
+  endTime: { $gt: startTime },
+});
+
+// Offered holds overlapping a window count as taken spots
+waitlistEntrySchema.statics.countHolds = function(parkingId, startTime, endTime) {
+  return this.countDocuments({ parking: parkingId, ...offeredHoldFilter(startTime, endTime) });
+};
+
+// Offered holds overlapping a window per parking, as [{ parking, spots }] (for search results)
+waitlistEntrySchema.statics.countHoldsByParking = function(parkingIds, startTime, endTime) {
+  return this.aggregate([
+    { $match: { parking: { $in: parkingIds }, ...offeredHoldFilter(startTime, endTime) } },
+    { $group: { _id: '$parking', spots: { $sum: 1 } } },
+    { $project: { _id: 0, parking: '$_id', spots: 1 } },
+  ]);
+};
+
+waitlistEntrySchema.index({ parking: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, createdAt: -1 });
+waitlistEntrySchema.index({ status: 1, holdExpiresAt: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+module.exports = WaitlistEntry;
@@ -0,0 +1,66 @@
+// models/WalletTransaction.js
+// Immutable wallet ledger: the wallet balance is the sum of a user's transactions.
+const mongoose = require('mongoose');
+
+const WALLET_TRANSACTION_TYPES = ['topup', 'booking_payment', 'pass_payment', 'refund', 'overstay_charge', 'adjustment'];
+
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Transaction must belong to a user'],
+    },
+    type: {
+      type: String,
+      enum: WALLET_TRANSACTION_TYPES,
+      required: true,
+    },
+    amount: {
+      type: Number, // Positive for credits, negative for debits
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: 'MAD',
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    description: String,
+    reference: {
+      type: String, // Idempotency key, e.g. `topup:<intentId>`
+      unique: true,
+      sparse: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+
+// Ledger entries are never changed: corrections are new transactions
+const rejectChange = function(next) {
+  next(new Error('Wallet transactions are immutable'));
+};
+
+walletTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+walletTransactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectChange);
+walletTransactionSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+walletTransactionSchema.statics.TYPES = WALLET_TRANSACTION_TYPES;
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+module.exports = WalletTransaction;
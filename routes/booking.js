@@ -1,23 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
+const bookingSeriesController = require('../controllers/bookingSeriesController');
+const bookingHoldController = require('../controllers/bookingHoldController');
 const { protect, authorize } = require('../middleware/auth');
 
 // All routes are protected
 router.use(protect);
 
 // 🟢 User/Driver Routes
-router.post('/', authorize('user', 'driver'), bookingController.createBooking);
+router.post('/', authorize('user', 'driver'), bookingController.createBooking); // Pass holdId to book a held slot
 router.get('/my-bookings', authorize('user', 'driver'), bookingController.getUserBookings);
+
+// ⏱️ Checkout holds
+router.post('/hold', authorize('user', 'driver'), bookingHoldController.createBookingHold);
+router
+  .route('/hold/:holdId')
+  .get(authorize('user', 'driver'), bookingHoldController.getBookingHold)
+  .delete(authorize('user', 'driver'), bookingHoldController.releaseBookingHold);
+
+// 🔁 Recurring bookings (cancel a single date with PATCH /:id/cancel)
+router
+  .route('/series')
+  .get(authorize('user', 'driver'), bookingSeriesController.getMySeries)
+  .post(authorize('user', 'driver'), bookingSeriesController.createBookingSeries); // dryRun previews conflicts
+router.get('/series/:id', authorize('user', 'driver'), bookingSeriesController.getSeriesById);
+router.patch('/series/:id/cancel', authorize('user', 'driver'), bookingSeriesController.cancelSeries);
+
 router.get('/:id', bookingController.getBookingById);
+router.get('/:id/cancellation', bookingController.getCancellationQuote); // Preview fee and refund
+router.get('/:id/invoice', bookingController.getBookingInvoice); // ?format=pdf|json&lang=ar|en
 router.patch('/:id/cancel', authorize('user', 'driver'), bookingController.cancelBooking);
 router.patch('/:id/extend', authorize('user', 'driver'), bookingController.extendBooking);
+router.patch('/:id/reschedule', authorize('user', 'driver'), bookingController.rescheduleBooking); // New start time and/or duration
+router.post('/:id/qr/rotate', authorize('user', 'driver'), bookingController.rotateQrCode); // Revoke the current QR code
 router.patch('/:id/arrived', authorize('user', 'driver'), bookingController.markAsArrived); // Driver marks arrived
 
 // 🟠 Owner Routes
 router.get('/owner/my-bookings', authorize('owner'), bookingController.getOwnerBookings);
 router.patch('/:id/status', authorize('owner'), bookingController.updateBookingStatus);
-router.post('/scan', authorize('owner'), bookingController.scanBooking);
+router.post('/scan', authorize('owner'), bookingController.scanBooking); // QR code or plate, entry or exit
+router.get('/owner/by-plate', authorize('owner'), bookingController.getBookingsByPlate); // Today's bookings of a plate
 router.patch('/:id/confirm', authorize('owner'), bookingController.confirmBooking); // Owner confirms & starts timer
 router.patch('/:id/complete', authorize('owner'), bookingController.completeBooking); // ✅ Owner completes booking
 
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const gateController = require('../controllers/gateController');
+const { authenticateGate } = require('../middleware/deviceAuth');
+
+// 🚧 Gate devices (X-Api-Key header). Owners manage gates under /parkings/:id/gates
+router.use(authenticateGate);
+
+router.get('/me', gateController.getCurrentGate);
+router.post('/scan', gateController.gateScan); // QR code or plate -> open or deny
+
+module.exports = router;
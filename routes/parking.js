@@ -2,6 +2,13 @@
 const express = require('express');
 const router = express.Router();
 const parkingController = require('../controllers/parkingController');
+const spotController = require('../controllers/spotController');
+const scheduleController = require('../controllers/scheduleController');
+const passController = require('../controllers/passController');
+const waitlistController = require('../controllers/waitlistController');
+const bookingController = require('../controllers/bookingController');
+const gateController = require('../controllers/gateController');
+const occupancyController = require('../controllers/occupancyController');
 const { protect, authorize } = require('../middleware/auth');
 const { uploadParkingImages, handleUploadError } = require('../middleware/upload');
 
@@ -39,6 +46,73 @@ router
   ) // Only owner can edit his own
   .delete(protect, authorize('owner'), parkingController.deleteParking); // Only owner can delete his own
 
-router.get('/:id/availability', protect, parkingController.checkParkingAvailability);
+router.get('/:id/availability', protect, parkingController.checkParkingAvailability); // ?useSensors=true counts walk-ins
+router.get('/:id/quote', protect, parkingController.getParkingQuote);
+
+// 🅿️ Spot inventory
+router
+  .route('/:id/spots')
+  .get(protect, spotController.getParkingSpots)
+  .post(protect, authorize('owner'), spotController.createSpots); // Only owner can add spots
+
+router.get('/:id/spots/available', protect, spotController.getAvailableSpots);
+
+router
+  .route('/:id/spots/:spotId')
+  .patch(protect, authorize('owner'), spotController.updateSpot)
+  .delete(protect, authorize('owner'), spotController.deleteSpot);
+
+// 🕒 Opening hours & closure calendar
+router
+  .route('/:id/schedule')
+  .get(protect, scheduleController.getSchedule)
+  .put(protect, authorize('owner'), scheduleController.updateSchedule);
+
+router.post('/:id/closures', protect, authorize('owner'), scheduleController.addClosure);
+router.delete('/:id/closures/:closureId', protect, authorize('owner'), scheduleController.deleteClosure);
+
+// 🎫 Pass plans (monthly, weekday and night passes)
+router
+  .route('/:id/pass-plans')
+  .get(protect, passController.getPassPlans)
+  .post(protect, authorize('owner'), passController.createPassPlan);
+
+router.patch('/:id/pass-plans/:planId', protect, authorize('owner'), passController.updatePassPlan);
+router.get('/:id/passes', protect, authorize('owner'), passController.getParkingPasses);
+
+// ⏳ Waitlist
+router.get('/:id/waitlist', protect, authorize('owner'), waitlistController.getParkingWaitlist);
+
+// 📷 Entry and exit scans
+router.get('/:id/scans', protect, authorize('owner'), bookingController.getParkingScans);
+
+// 🚧 Barrier gates (devices call /gates with their API key)
+router
+  .route('/:id/gates')
+  .get(protect, authorize('owner'), gateController.getParkingGates)
+  .post(protect, authorize('owner'), gateController.createGate); // Returns the API key once
+
+router
+  .route('/:id/gates/:gateId')
+  .patch(protect, authorize('owner'), gateController.updateGate)
+  .delete(protect, authorize('owner'), gateController.deleteGate);
+
+router.post('/:id/gates/:gateId/rotate-key', protect, authorize('owner'), gateController.rotateGateKey);
+
+// 📡 Occupancy sensors (devices report to /sensors with their API key)
+router.get('/:id/occupancy', protect, occupancyController.getLiveOccupancy); // Occupied vs free right now
+router.get('/:id/occupancy/history', protect, authorize('owner'), occupancyController.getOccupancyHistory);
+
+router
+  .route('/:id/sensors')
+  .get(protect, authorize('owner'), occupancyController.getParkingSensors)
+  .post(protect, authorize('owner'), occupancyController.createSensor); // Returns the API key once
+
+router
+  .route('/:id/sensors/:sensorId')
+  .patch(protect, authorize('owner'), occupancyController.updateSensor)
+  .delete(protect, authorize('owner'), occupancyController.deleteSensor);
+
+router.post('/:id/sensors/:sensorId/rotate-key', protect, authorize('owner'), occupancyController.rotateSensorKey);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const passController = require('../controllers/passController');
+const { protect, authorize } = require('../middleware/auth');
+
+// 🟢 User/Driver Routes
+router.use(protect, authorize('user', 'driver'));
+
+router.post('/', passController.purchasePass);
+router.get('/my-passes', passController.getMyPasses);
+router.get('/:id', passController.getPassById);
+router.patch('/:id', passController.updatePass); // Toggle auto-renewal
+router.post('/:id/renew', passController.renewPass);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { protect, authorize } = require('../middleware/auth');
+
+// 🔓 Provider webhooks (authenticated by signature)
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+// 🟢 User/Driver Routes
+router.use(protect);
+
+router.post('/intents', authorize('user', 'driver'), paymentController.createPaymentIntent);
+router.post('/intents/:intentId/confirm', authorize('user', 'driver'), paymentController.confirmPaymentIntent); // Mock gateway only
+router.get('/intents/:intentId', paymentController.getPayment);
+
+module.exports = router;
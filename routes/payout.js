@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const payoutController = require('../controllers/payoutController');
+const { protect, authorize } = require('../middleware/auth');
+
+// 🟠 Owner Routes
+router.use(protect, authorize('owner'));
+
+router.get('/', payoutController.getMyPayouts);
+router.get('/:id', payoutController.getPayoutById);
+router.get('/:id/csv', payoutController.downloadPayoutCsv);
+
+module.exports = router;
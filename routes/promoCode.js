@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const promoCodeController = require('../controllers/promoCodeController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+// 🟢 User/Driver Routes
+router.post('/validate', authorize('user', 'driver'), promoCodeController.validatePromoCode); // Preview discount
+
+// 🟠 Owner/Admin Routes
+router.post('/', authorize('owner', 'admin'), promoCodeController.createPromoCode);
+router.get('/', authorize('owner', 'admin'), promoCodeController.getPromoCodes);
+router.get('/:id', authorize('owner', 'admin'), promoCodeController.getPromoCode);
+router.patch('/:id', authorize('owner', 'admin'), promoCodeController.updatePromoCode);
+router.get('/:id/redemptions', authorize('owner', 'admin'), promoCodeController.getPromoCodeRedemptions);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const qrController = require('../controllers/qrController');
+const { protect, authorize } = require('../middleware/auth');
+
+// 🟢 Public: keys to verify QR codes offline
+router.get('/keys', qrController.getPublicKeys);
+
+// 🟠 Owner Routes
+router.get('/revocations', protect, authorize('owner'), qrController.getRevocations); // ?parkingId=&since=
+
+module.exports = router;
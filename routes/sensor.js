@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const occupancyController = require('../controllers/occupancyController');
+const { authenticateSensor } = require('../middleware/deviceAuth');
+
+// 📡 Occupancy sensors (X-Api-Key header). Owners manage sensors under /parkings/:id/sensors
+router.use(authenticateSensor);
+
+router.get('/me', occupancyController.getCurrentSensor);
+router.post('/readings', occupancyController.reportReadings); // { occupied } | { occupiedSpots } | { delta } | { readings: [...] }
+
+module.exports = router;
@@ -6,6 +6,7 @@ const {
   deleteAvatar, 
   changePassword 
 } = require('../controllers/userController');
+const vehicleController = require('../controllers/vehicleController');
 const { protect } = require('../middleware/auth');
 const { uploadAvatar: uploadMiddleware, handleUploadError } = require('../middleware/upload');
 
@@ -20,4 +21,15 @@ router.put('/password', changePassword);
 router.put('/avatar', uploadMiddleware, handleUploadError, uploadAvatar);
 router.delete('/avatar', deleteAvatar);
 
+// 🚗 Vehicles
+router
+  .route('/vehicles')
+  .get(vehicleController.getMyVehicles)
+  .post(vehicleController.addVehicle);
+
+router
+  .route('/vehicles/:vehicleId')
+  .patch(vehicleController.updateVehicle)
+  .delete(vehicleController.deleteVehicle);
+
 module.exports = router;
\ No newline at end of file
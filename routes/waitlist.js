@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { protect, authorize } = require('../middleware/auth');
+
+// 🟢 User/Driver Routes
+router.use(protect, authorize('user', 'driver'));
+
+router.post('/', waitlistController.joinWaitlist);
+router.get('/my-entries', waitlistController.getMyWaitlist);
+router.patch('/:id/cancel', waitlistController.leaveWaitlist); // Leave the waitlist or give up an offer
+router.post('/:id/book', waitlistController.bookFromWaitlist); // Turn an offered hold into a booking
+
+module.exports = router;
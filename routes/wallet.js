@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const walletController = require('../controllers/walletController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', walletController.getWallet);
+router.get('/transactions', walletController.getTransactions);
+router.post('/topup', authorize('user', 'driver'), walletController.topUp); // Confirm via /payments/intents/:intentId/confirm
+
+module.exports = router;
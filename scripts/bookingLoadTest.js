@@ -0,0 +1,69 @@
+// scripts/bookingLoadTest.js
+// Fires many parallel booking requests for the same parking and time slot
+// and checks that the parking is never overbooked.
+//
+// Usage:
+//   API_URL=http://localhost:8090/api/v1 TOKEN=<driver jwt> PARKING_ID=<id> \
+//   REQUESTS=50 START_TIME=2030-01-01T10:00:00Z node scripts/bookingLoadTest.js
+
+const axios = require('axios');
+
+const API_URL = process.env.API_URL || 'http://localhost:8090/api/v1';
+const { TOKEN, PARKING_ID } = process.env;
+const REQUESTS = parseInt(process.env.REQUESTS || '50');
+const START_TIME = process.env.START_TIME || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+const DURATION = parseFloat(process.env.DURATION || '1');
+
+const run = async () => {
+  if (!TOKEN || !PARKING_ID) {
+    console.error('❌ TOKEN and PARKING_ID are required');
+    process.exit(1);
+  }
+
+  const api = axios.create({
+    baseURL: API_URL,
+    headers: { Authorization: `Bearer ${TOKEN}` },
+    validateStatus: () => true,
+  });
+
+  const { data: availability } = await api.get(`/parkings/${PARKING_ID}/availability`, {
+    params: { startTime: START_TIME, duration: DURATION }
+  });
+
+  if (!availability.success) {
+    console.error('❌ Could not read availability:', availability.message);
+    process.exit(1);
+  }
+
+  const freeSpots = availability.data.availableSpots;
+  console.log(`🚗 ${REQUESTS} parallel bookings against ${freeSpots} free spot(s)...`);
+
+  const responses = await Promise.all(
+    Array.from({ length: REQUESTS }, () => api.post('/bookings', {
+      parkingId: PARKING_ID,
+      startTime: START_TIME,
+      duration: DURATION,
+      paymentMethod: 'cash',
+    }))
+  );
+
+  const created = responses.filter(r => r.status === 201);
+  const rejected = responses.filter(r => r.status === 400);
+  const failed = responses.filter(r => r.status !== 201 && r.status !== 400);
+
+  console.log(`✅ Created: ${created.length}`);
+  console.log(`⛔ Rejected (full): ${rejected.length}`);
+  console.log(`❌ Other errors: ${failed.length}`);
+
+  if (created.length > freeSpots) {
+    console.error(`❌ OVERBOOKED: ${created.length} bookings for ${freeSpots} free spot(s)`);
+    process.exit(1);
+  }
+
+  console.log('✅ No overbooking detected');
+};
+
+run().catch(error => {
+  console.error('❌ Load test failed:', error.message);
+  process.exit(1);
+});
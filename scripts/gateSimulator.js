@@ -0,0 +1,83 @@
+// scripts/gateSimulator.js
+// Pretends to be a barrier gate: sends QR codes or plates to POST /gates/scan
+// and shows whether the barrier would open.
+//
+// Usage:
+//   API_URL=http://localhost:8090/api/v1 GATE_KEY=<gate api key> \
+//   node scripts/gateSimulator.js [code-or-plate] [entry|exit]
+//
+// Without a code it reads one code or plate per line from the terminal. Values
+// starting with "PARKLY" are sent as QR codes, anything else as a plate.
+
+const readline = require('readline');
+const axios = require('axios');
+
+const API_URL = process.env.API_URL || 'http://localhost:8090/api/v1';
+const { GATE_KEY } = process.env;
+
+const api = axios.create({
+  baseURL: API_URL,
+  headers: { 'X-Api-Key': GATE_KEY },
+  validateStatus: () => true,
+});
+
+const scan = async (value, direction) => {
+  const body = value.startsWith('PARKLY') ? { qrCode: value } : { plate: value };
+  if (direction) body.direction = direction;
+
+  const { status, data } = await api.post('/gates/scan', body);
+
+  if (status !== 200) {
+    console.log(`❌ ${status}: ${data.message}`);
+    return;
+  }
+
+  const { action, reason, direction: passedDirection, spot, summary } = data.data;
+  const arrow = passedDirection === 'exit' ? '⬅️ ' : '➡️ ';
+
+  if (action === 'open') {
+    console.log(`🟢 OPEN ${arrow}${passedDirection || ''} - ${reason}${spot ? ` (spot ${spot})` : ''}`);
+    if (summary && summary.overstayCharge > 0) {
+      console.log(`   Overstay: ${summary.overstayDuration} min, ${summary.overstayCharge.toFixed(2)} MAD`);
+    }
+  } else {
+    console.log(`🔴 DENY ${arrow}${passedDirection || ''} - ${reason}`);
+  }
+};
+
+const run = async () => {
+  if (!GATE_KEY) {
+    console.error('❌ GATE_KEY is required');
+    process.exit(1);
+  }
+
+  const { status, data } = await api.get('/gates/me');
+  if (status !== 200) {
+    console.error(`❌ Gate rejected: ${data.message}`);
+    process.exit(1);
+  }
+
+  const gate = data.data;
+  console.log(`🚧 ${gate.name} at ${gate.parking.name} (${gate.direction})`);
+
+  const [value, direction] = process.argv.slice(2);
+  if (value) {
+    await scan(value, direction);
+    return;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.setPrompt('QR code or plate [entry|exit]> ');
+  rl.prompt();
+
+  for await (const line of rl) {
+    const [input, lineDirection] = line.trim().split(/\s+(?=entry$|exit$)/);
+    if (input) await scan(input, lineDirection);
+    rl.prompt();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Gate simulator failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,35 @@
+// scripts/payouts.js
+// Settles closed payout periods and records bank transfers to owners.
+//
+// Usage:
+//   node scripts/payouts.js settle
+//   node scripts/payouts.js mark-paid <payoutId> [transferReference]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { settlePayouts, markPayoutPaid } = require('../utils/settlement');
+
+const run = async () => {
+  const [command, payoutId, reference] = process.argv.slice(2);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/parkly');
+
+  if (command === 'settle') {
+    const settled = await settlePayouts();
+    console.log(`✅ ${settled} bookings settled`);
+  } else if (command === 'mark-paid' && payoutId) {
+    const payout = await markPayoutPaid(payoutId, reference);
+    console.log(`✅ Payout ${payout._id} marked as paid (${payout.netAmount} ${payout.currency})`);
+  } else {
+    console.error('Usage: node scripts/payouts.js settle | mark-paid <payoutId> [transferReference]');
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,19 @@
+// scripts/qrKeys.js
+// Generates an Ed25519 key pair for signing booking QR codes (see utils/qrTokens.js).
+//
+// Usage:
+//   node scripts/qrKeys.js [keyId]
+
+const crypto = require('crypto');
+
+const keyId = process.argv[2] || `qr-${new Date().toISOString().slice(0, 10)}`;
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+const oneLine = (pem) => pem.trim().replace(/\n/g, '\\n');
+
+console.log('# New signing key');
+console.log(`QR_SIGNING_KEY_ID=${keyId}`);
+console.log(`QR_SIGNING_KEY="${oneLine(privateKey.export({ type: 'pkcs8', format: 'pem' }))}"`);
+console.log('');
+console.log('# Public key (add it to QR_VERIFICATION_KEYS when this key is replaced)');
+console.log(JSON.stringify({ [keyId]: publicKey.export({ type: 'spki', format: 'pem' }) }));
@@ -0,0 +1,30 @@
+// scripts/rebuildCapacitySlots.js
+// Removes capacity ledger slots from the current slot on, after a change of the slot
+// size (SLOT_MINUTES in utils/capacityLedger). The ledger recreates them from the
+// bookings on the next reservation. Checkout holds and waitlist offers open at that
+// moment lose their ledger entry, so run it while the API is stopped.
+//
+// Usage:
+//   node scripts/rebuildCapacitySlots.js
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const CapacitySlot = require('../models/CapacitySlot');
+const { SLOT_MINUTES } = require('../utils/capacityLedger');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/parkly');
+
+  const slotMs = SLOT_MINUTES * 60 * 1000;
+  const currentSlot = new Date(Math.floor(Date.now() / slotMs) * slotMs);
+  const result = await CapacitySlot.deleteMany({ slotStart: { $gte: currentSlot } });
+  console.log(`✅ ${result.deletedCount} capacity slots removed, they are rebuilt from bookings on demand`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,122 @@
+// utils/bookingHolds.js
+// Short checkout holds: capacity (and a spot when the parking has an inventory)
+// is reserved on the ledger for a few minutes so it cannot be taken while the
+// driver pays. createBooking converts a hold with `holdId`.
+const moment = require('moment');
+const BookingHold = require('../models/BookingHold');
+const ParkingSpot = require('../models/ParkingSpot');
+const AppError = require('./AppError');
+const { reserveParking, reserveSpot, undoReservation, releaseHolder } = require('./capacityLedger');
+const { getBookingConflict } = require('./bookingPlacement');
+const { offerFreedCapacity } = require('./waitlist');
+const { startsInPast } = require('./bookingUtils');
+
+const HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES) || 10;
+const MAX_ACTIVE_HOLDS = 3;
+
+// Hold `bookingWindow` at a parking for HOLD_MINUTES
+exports.createHold = async ({ userId, parking, bookingWindow, spotId }) => {
+  const { startTime, endTime } = bookingWindow;
+
+  if (startsInPast(startTime)) {
+    throw new AppError(400, 'Start time must be in the future');
+  }
+
+  const activeHolds = await BookingHold.countDocuments({ user: userId, status: 'active', expiresAt: { $gt: new Date() } });
+  if (activeHolds >= MAX_ACTIVE_HOLDS) {
+    throw new AppError(400, `You cannot hold more than ${MAX_ACTIVE_HOLDS} slots at once`);
+  }
+
+  const conflict = await getBookingConflict(parking, startTime, endTime, { spotId });
+  if (conflict) {
+    throw new AppError(400, conflict);
+  }
+
+  const hold = new BookingHold({
+    user: userId,
+    parking: parking._id,
+    startTime,
+    endTime,
+    duration: bookingWindow.duration,
+    durationMinutes: bookingWindow.durationMinutes,
+    expiresAt: moment().add(HOLD_MINUTES, 'minutes').toDate(),
+  });
+
+  const parkingSlots = await reserveParking(parking, hold._id, startTime, endTime);
+  if (!parkingSlots) {
+    throw new AppError(400, 'Parking is not available for the selected time slot');
+  }
+
+  if (await ParkingSpot.exists({ parking: parking._id })) {
+    const candidateSpots = await ParkingSpot.findFreeSpots(parking._id, startTime, endTime, spotId ? { _id: spotId } : {});
+    for (const spot of candidateSpots) {
+      if (await reserveSpot(spot._id, hold._id, startTime, endTime)) {
+        hold.spot = spot._id;
+        break;
+      }
+    }
+
+    if (!hold.spot) {
+      await undoReservation(parking._id, hold._id, parkingSlots);
+      throw new AppError(400, spotId
+        ? 'Selected spot is not available for the selected time slot'
+        : 'Parking is not available for the selected time slot');
+    }
+  }
+
+  try {
+    await hold.save();
+  } catch (error) {
+    await exports.releaseHoldCapacity(hold);
+    throw error;
+  }
+
+  return hold;
+};
+
+// Free the ledger slots of a hold
+exports.releaseHoldCapacity = async (hold) => {
+  await releaseHolder(hold.parking, hold._id);
+  if (hold.spot) await releaseHolder(hold.spot, hold._id);
+};
+
+// Give up a hold that ended without a booking and offer its capacity to the waitlist
+exports.freeHold = async (hold) => {
+  await exports.releaseHoldCapacity(hold);
+
+  try {
+    await offerFreedCapacity(hold.parking, hold.startTime, hold.endTime);
+  } catch (waitlistError) {
+    console.error('Failed to offer freed capacity to the waitlist:', waitlistError);
+  }
+};
+
+// Mark an active hold as being converted. Returns false when it is gone or expired.
+exports.claimHold = async (hold) => {
+  const result = await BookingHold.updateOne(
+    { _id: hold._id, status: 'active', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'converted' } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Reactivate a claimed hold whose booking could not be created
+exports.restoreHold = (hold) => BookingHold.updateOne({ _id: hold._id, status: 'converted' }, { $set: { status: 'active' } });
+
+// Expire lapsed holds and offer their capacity to the waitlist
+exports.expireHolds = async (now = new Date()) => {
+  const lapsed = await BookingHold.find({ status: 'active', expiresAt: { $lte: now } });
+  let expired = 0;
+
+  for (const hold of lapsed) {
+    const claimed = await BookingHold.updateOne({ _id: hold._id, status: 'active' }, { $set: { status: 'expired' } });
+    if (claimed.modifiedCount === 0) continue; // Converted meanwhile
+
+    await exports.freeHold(hold);
+    expired++;
+  }
+
+  return expired;
+};
+
+exports.HOLD_MINUTES = HOLD_MINUTES;
@@ -0,0 +1,357 @@
+// utils/bookingPlacement.js
+// Creates a booking end to end: availability checks, pricing, promo code,
+// capacity reservation, wallet payment and save. Used by single bookings,
+// recurring series, holds and the waitlist, and moves bookings when they are
+// rescheduled; every failure undoes what was already reserved or charged.
+const Booking = require('../models/Booking');
+const PromoCode = require('../models/PromoCode');
+const Vehicle = require('../models/Vehicle');
+const ParkingSpot = require('../models/ParkingSpot');
+const AppError = require('./AppError');
+const {
+  reserveParking, reserveSpot, undoReservation, releaseBooking, releaseHolder, transferReservation, getSlotStarts
+} = require('./capacityLedger');
+const { getClosedReason } = require('./openingHours');
+const { quotePrice, round } = require('./pricing');
+const { validatePromoCode, redeemPromoCode, releasePromoRedemption } = require('./promoCodes');
+const { debitWallet } = require('./wallet');
+const { createBookingPayment, refundBookingPayment, getAmountDue, isCardPaymentAvailable } = require('./payments');
+const { initializeHistory } = require('./bookingStateMachine');
+const { revokeQrToken } = require('./qrTokens');
+const { resolveBookingVehicle, getSpotCriteria, fitsSpot, sortSpotsForVehicle } = require('./vehicles');
+
+const notAvailable = (spotId) => new AppError(400, spotId
+  ? 'Selected spot is not available for the selected time slot'
+  : 'Parking is not available for the selected time slot');
+
+// Why the window cannot be booked right now, or null (checks only, nothing is reserved)
+exports.getBookingConflict = async (parking, startTime, endTime, { spotId } = {}) => {
+  const closedReason = getClosedReason(parking, startTime, endTime);
+  if (closedReason) return closedReason;
+
+  const conflictingBookings = await Booking.checkAvailability(parking._id, startTime, endTime);
+  if (conflictingBookings >= parking.totalSpots) {
+    return 'Parking is not available for the selected time slot';
+  }
+
+  if (await ParkingSpot.exists({ parking: parking._id })) {
+    const freeSpots = await ParkingSpot.findFreeSpots(parking._id, startTime, endTime, spotId ? { _id: spotId } : {});
+    if (freeSpots.length === 0) return notAvailable(spotId).message;
+  } else if (spotId) {
+    return 'This parking does not offer spot selection';
+  }
+
+  return null;
+};
+
+// Create a booking for `bookingWindow` (see resolveBookingWindow). Throws an AppError when it cannot be placed.
+// `holdId` is the ledger holder of a hold on this exact window (checkout hold or waitlist offer) that the
+// booking takes over; the caller marks the hold as used first so it no longer counts against availability.
+// A spot the hold owns is passed as both `spotId` and `heldSpotId` (waitlist offers hold no spot).
+// Without `vehicleId` the driver's default vehicle is recorded.
+exports.placeBooking = async ({ userId, parking, bookingWindow, paymentMethod, notes, spotId, promoCode, series, holdId, heldSpotId, vehicleId }) => {
+  const { startTime, endTime } = bookingWindow;
+
+  if (paymentMethod === 'card' && !isCardPaymentAvailable()) {
+    throw new AppError(503, 'Card payments are not available, pay with cash or your wallet');
+  }
+
+  const vehicle = await resolveBookingVehicle(userId, vehicleId);
+
+  const closedReason = getClosedReason(parking, startTime, endTime);
+  if (closedReason) {
+    throw new AppError(400, closedReason);
+  }
+
+  const conflictingBookings = await Booking.checkAvailability(parking._id, startTime, endTime);
+  if (conflictingBookings >= parking.totalSpots) {
+    throw notAvailable();
+  }
+
+  // Candidate spots when the parking has a spot inventory (driver may pick one)
+  let candidateSpots = [];
+  const hasSpotInventory = await ParkingSpot.exists({ parking: parking._id });
+
+  if (hasSpotInventory) {
+    candidateSpots = await ParkingSpot.findFreeSpots(parking._id, startTime, endTime, spotId ? { _id: spotId } : getSpotCriteria(vehicle));
+    if (candidateSpots.length === 0) {
+      throw vehicle && !spotId
+        ? new AppError(400, 'No free spot fits this vehicle for the selected time slot')
+        : notAvailable(spotId);
+    }
+    if (spotId && !fitsSpot(vehicle, candidateSpots[0])) {
+      throw new AppError(400, 'Selected spot is too small for this vehicle');
+    }
+    candidateSpots = sortSpotsForVehicle(candidateSpots, vehicle);
+  } else if (spotId) {
+    throw new AppError(400, 'This parking does not offer spot selection');
+  }
+
+  // Calculate total amount
+  const quote = quotePrice(parking, startTime, endTime);
+
+  // Promo code discount
+  const promotion = promoCode
+    ? await validatePromoCode(promoCode, { userId, parking, amount: quote.total })
+    : null;
+  const discountAmount = promotion ? promotion.discountAmount : 0;
+  const totalAmount = round(quote.total - discountAmount);
+
+  const booking = new Booking({
+    user: userId,
+    parking: parking._id,
+    series,
+    vehicle: vehicle ? vehicle._id : undefined,
+    plate: vehicle ? vehicle.plate : undefined,
+    startTime,
+    duration: bookingWindow.duration,
+    totalAmount,
+    priceBreakdown: quote.lines,
+    discount: promotion ? {
+      promoCode: promotion.promo._id,
+      code: promotion.promo.code,
+      amount: discountAmount,
+      discountType: promotion.promo.discountType,
+      discountValue: promotion.promo.discountValue,
+      maxDiscount: promotion.promo.maxDiscount,
+    } : undefined,
+    paymentMethod: paymentMethod || 'cash',
+    notes,
+    // Fully discounted bookings have nothing to pay
+    status: ['cash', 'wallet'].includes(paymentMethod) || totalAmount === 0 ? 'confirmed' : 'pending',
+    paymentStatus: totalAmount === 0 ? 'paid' : 'pending'
+  });
+  initializeHistory(booking, { role: 'driver', userId });
+
+  // Move the held slots to the booking, and back to the hold when the booking cannot be placed
+  const heldResources = holdId ? [parking._id, heldSpotId].filter(Boolean) : [];
+  const moveHold = (from, to) => Promise.all(heldResources.map(resource => transferReservation(resource, from, to)));
+  const returnHold = () => moveHold(booking._id, holdId);
+
+  // Reserve capacity atomically so parallel requests cannot overbook the parking
+  await moveHold(holdId, booking._id);
+  const parkingSlots = await reserveParking(parking, booking._id, startTime, endTime);
+  if (!parkingSlots) {
+    await returnHold();
+    throw notAvailable();
+  }
+
+  for (const spot of candidateSpots) {
+    if (await reserveSpot(spot._id, booking._id, startTime, endTime)) {
+      booking.spot = spot._id;
+      break;
+    }
+  }
+
+  if (hasSpotInventory && !booking.spot) {
+    await undoReservation(parking._id, booking._id, parkingSlots);
+    await returnHold();
+    throw notAvailable(spotId);
+  }
+
+  // Redeem the promo code, charge the wallet and save; undo everything if a step fails
+  let promoRedeemed = false;
+  let walletCharged = false;
+  try {
+    if (promotion) {
+      await redeemPromoCode(promotion.promo, { userId, booking, discountAmount });
+      promoRedeemed = true;
+    }
+
+    // Wallet bookings are paid upfront from the driver's balance
+    if (booking.paymentMethod === 'wallet' && booking.paymentStatus !== 'paid') {
+      await debitWallet(userId, booking.totalAmount, {
+        type: 'booking_payment',
+        booking: booking._id,
+        description: `Booking at ${parking.name}`,
+      });
+      walletCharged = true;
+      booking.paymentStatus = 'paid';
+    }
+
+    // Generate QR code and create booking
+    booking.generateQRCode();
+    await booking.save();
+  } catch (error) {
+    await returnHold();
+    await releaseBooking(booking);
+    if (promoRedeemed) await releasePromoRedemption(booking);
+    if (walletCharged) await refundBookingPayment(booking, booking.totalAmount, 'Booking could not be created');
+    throw error;
+  }
+
+  return booking;
+};
+
+// Move a pending or confirmed booking to `bookingWindow`. The new slots are reserved before the old
+// ones are freed, so the driver never loses the booking when the new time is not available.
+// The price difference is charged to or refunded from the wallet, refunded to the card, or left
+// for the card payment the caller creates. Returns the difference (negative for a refund).
+exports.moveBooking = async (booking, parking, bookingWindow) => {
+  const { startTime, endTime } = bookingWindow;
+  const previous = {
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    spot: booking.spot,
+    qrCode: { tokenId: booking.qrTokenId, expiresAt: booking.qrExpiresAt },
+  };
+
+  const closedReason = getClosedReason(parking, startTime, endTime);
+  if (closedReason) {
+    throw new AppError(400, closedReason);
+  }
+
+  // Slots the booking already holds in the new window are kept as they are
+  const parkingSlots = await reserveParking(parking, booking._id, startTime, endTime);
+  if (!parkingSlots) {
+    throw notAvailable();
+  }
+
+  // Keep the assigned spot when it is free at the new time, otherwise move to another one
+  let spot = previous.spot;
+  let spotSlots = [];
+  if (previous.spot) {
+    spotSlots = await reserveSpot(previous.spot, booking._id, startTime, endTime);
+
+    if (!spotSlots) {
+      spot = null;
+      const vehicle = booking.vehicle ? await Vehicle.findById(booking.vehicle) : null;
+      const candidateSpots = await ParkingSpot.findFreeSpots(parking._id, startTime, endTime, {
+        ...getSpotCriteria(vehicle),
+        _id: { $ne: previous.spot },
+      });
+      for (const candidate of sortSpotsForVehicle(candidateSpots, vehicle)) {
+        spotSlots = await reserveSpot(candidate._id, booking._id, startTime, endTime);
+        if (spotSlots) {
+          spot = candidate._id;
+          break;
+        }
+      }
+    }
+
+    if (!spot) {
+      await undoReservation(parking._id, booking._id, parkingSlots);
+      throw notAvailable();
+    }
+  }
+
+  const undoNewSlots = async () => {
+    await undoReservation(parking._id, booking._id, parkingSlots);
+    if (spot) await undoReservation(spot, booking._id, spotSlots || []);
+  };
+
+  // Same promo terms applied to the new price (bookings made before terms were kept keep their amount)
+  const quote = quotePrice(parking, startTime, endTime);
+  const hasDiscount = booking.discount && booking.discount.promoCode;
+  if (hasDiscount && !booking.discount.discountType) {
+    booking.discount.discountType = 'fixed';
+    booking.discount.discountValue = booking.discount.amount;
+  }
+  const discountAmount = hasDiscount ? PromoCode.calculateDiscount(booking.discount, quote.total) : 0;
+  const totalAmount = round(quote.total - discountAmount);
+  const difference = round(totalAmount - booking.totalAmount);
+  const wasPaid = booking.paymentStatus === 'paid';
+
+  booking.startTime = startTime;
+  booking.duration = bookingWindow.duration;
+  booking.spot = spot;
+  booking.totalAmount = totalAmount;
+  booking.priceBreakdown = quote.lines;
+  if (hasDiscount) {
+    booking.discount.amount = discountAmount;
+  }
+  booking.reschedules.push({
+    fromStartTime: previous.startTime,
+    fromEndTime: previous.endTime,
+    toStartTime: startTime,
+    toEndTime: endTime,
+    amountDifference: difference,
+  });
+  // The old QR code must not open the gate any more
+  booking.generateQRCode();
+
+  // A paid card booking stays paid and owes the extra amount, which an unpaid extra absorbs first when cheaper
+  const outstanding = booking.amountDue || 0;
+  if (wasPaid && booking.paymentMethod === 'card') {
+    booking.amountDue = round(Math.max(0, outstanding + difference));
+  }
+  const refundAmount = round(-difference - (booking.paymentMethod === 'card' ? outstanding : 0));
+
+  const chargeWallet = wasPaid && booking.paymentMethod === 'wallet' && difference > 0;
+  try {
+    if (chargeWallet) {
+      await debitWallet(booking.user._id, difference, {
+        type: 'booking_payment',
+        booking: booking._id,
+        description: 'Booking rescheduled',
+      });
+    }
+
+    try {
+      await booking.save();
+    } catch (error) {
+      if (chargeWallet) await refundBookingPayment(booking, difference, 'Reschedule could not be saved');
+      throw error;
+    }
+  } catch (error) {
+    await undoNewSlots();
+    throw error;
+  }
+
+  await revokeQrToken(booking, 'rescheduled', previous.qrCode);
+
+  // Free what the booking no longer covers
+  const newSlotTimes = new Set(getSlotStarts(startTime, endTime).map(slot => slot.getTime()));
+  const staleSlots = getSlotStarts(previous.startTime, previous.endTime)
+    .filter(slot => !newSlotTimes.has(slot.getTime()));
+
+  await undoReservation(parking._id, booking._id, staleSlots);
+  if (previous.spot && spot && spot.equals(previous.spot)) {
+    await undoReservation(previous.spot, booking._id, staleSlots);
+  } else if (previous.spot) {
+    await releaseHolder(previous.spot, booking._id);
+  }
+
+  // Cheaper new time: give the difference back for prepaid bookings
+  if (wasPaid && refundAmount > 0 && booking.paymentMethod !== 'cash') {
+    try {
+      await refundBookingPayment(booking, refundAmount, 'Booking rescheduled');
+    } catch (refundError) {
+      console.error('Failed to refund rescheduled booking:', refundError);
+    }
+  }
+
+  return difference;
+};
+
+// Remove a booking that was just placed (e.g. when a series fails half-way)
+exports.discardBooking = async (booking) => {
+  await revokeQrToken(booking, 'cancelled');
+  await releaseBooking(booking);
+  await releasePromoRedemption(booking);
+  if (booking.paymentMethod === 'wallet' && booking.paymentStatus === 'paid') {
+    await refundBookingPayment(booking, booking.totalAmount, 'Booking could not be created');
+  }
+  await Booking.deleteOne({ _id: booking._id });
+};
+
+// Payment intent details for what a card booking still has to pay, or null
+exports.startCardPayment = async (booking) => {
+  if (booking.paymentMethod !== 'card' || getAmountDue(booking) <= 0) return null;
+
+  try {
+    const intent = await createBookingPayment(booking);
+    return {
+      intentId: intent.providerIntentId,
+      clientSecret: intent.clientSecret,
+      provider: intent.provider,
+      amount: intent.amount,
+      currency: intent.currency,
+      status: intent.status,
+    };
+  } catch (paymentError) {
+    // The driver can retry with POST /payments/intents
+    console.error('Failed to create payment intent:', paymentError);
+    return null;
+  }
+};
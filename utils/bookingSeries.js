@@ -0,0 +1,94 @@
+// utils/bookingSeries.js
+// Expands a recurrence rule (days of the week + daily time range) into booking windows.
+const moment = require('moment');
+const AppError = require('./AppError');
+const { resolveBookingWindow } = require('./bookingUtils');
+const { fromLocalTime } = require('./openingHours');
+
+const MAX_OCCURRENCES = 60;
+const MAX_SERIES_DAYS = 90;
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validate and normalize the `recurrence` of a request. Dates are calendar days, kept as UTC midnights.
+exports.resolveRecurrence = (recurrence = {}) => {
+  const { startTime, endTime, startDate, endDate, count } = recurrence;
+  const daysOfWeek = recurrence.daysOfWeek || [0, 1, 2, 3, 4, 5, 6];
+
+  if (!TIME_FORMAT.test(startTime || '') || !TIME_FORMAT.test(endTime || '')) {
+    throw new AppError(400, 'Recurrence start and end times must be in HH:mm format');
+  }
+
+  if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+      daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new AppError(400, 'Days of week must be a list of numbers from 0 (Sunday) to 6 (Saturday)');
+  }
+
+  const firstDay = moment.utc(startDate, 'YYYY-MM-DD', true);
+  if (!firstDay.isValid()) {
+    throw new AppError(400, 'Recurrence start date must be in YYYY-MM-DD format');
+  }
+
+  let lastDay = null;
+  if (endDate) {
+    lastDay = moment.utc(endDate, 'YYYY-MM-DD', true);
+    if (!lastDay.isValid() || lastDay.isBefore(firstDay)) {
+      throw new AppError(400, 'Recurrence end date must be a valid date after the start date');
+    }
+  } else if (!(parseInt(count) > 0)) {
+    throw new AppError(400, 'Recurrence needs an end date or a number of occurrences');
+  }
+
+  return {
+    daysOfWeek: [...new Set(daysOfWeek)].sort(),
+    startTime,
+    endTime,
+    startDate: firstDay.toDate(),
+    endDate: lastDay ? lastDay.toDate() : undefined,
+    count: endDate ? undefined : parseInt(count),
+  };
+};
+
+// Booking windows of a normalized recurrence, with days and times in the parking's timezone.
+// An end time before the start time ends the next day.
+exports.getOccurrences = (recurrence, parking) => {
+  const [startHour, startMinute] = recurrence.startTime.split(':').map(Number);
+  const [endHour, endMinute] = recurrence.endTime.split(':').map(Number);
+  const overnight = endHour * 60 + endMinute <= startHour * 60 + startMinute;
+
+  const firstDay = moment.utc(recurrence.startDate).startOf('day');
+  const lastDay = recurrence.endDate
+    ? moment.utc(recurrence.endDate).startOf('day')
+    : firstDay.clone().add(MAX_SERIES_DAYS - 1, 'days');
+
+  if (lastDay.diff(firstDay, 'days') >= MAX_SERIES_DAYS) {
+    throw new AppError(400, `A series cannot span more than ${MAX_SERIES_DAYS} days`);
+  }
+
+  if (recurrence.count > MAX_OCCURRENCES) {
+    throw new AppError(400, `A series cannot have more than ${MAX_OCCURRENCES} bookings`);
+  }
+
+  // One extra occurrence is enough to know an end date produces too many
+  const occurrences = [];
+  const limit = recurrence.count || MAX_OCCURRENCES + 1;
+
+  for (const day = firstDay.clone(); !day.isAfter(lastDay) && occurrences.length < limit; day.add(1, 'day')) {
+    if (!recurrence.daysOfWeek.includes(day.day())) continue;
+
+    const start = day.clone().hours(startHour).minutes(startMinute);
+    const end = day.clone().add(overnight ? 1 : 0, 'day').hours(endHour).minutes(endMinute);
+
+    occurrences.push(resolveBookingWindow({ startTime: fromLocalTime(parking, start), endTime: fromLocalTime(parking, end) }));
+  }
+
+  if (occurrences.length === 0) {
+    throw new AppError(400, 'The recurrence rule does not produce any booking');
+  }
+  if (occurrences.length > MAX_OCCURRENCES) {
+    throw new AppError(400, `A series cannot have more than ${MAX_OCCURRENCES} bookings`);
+  }
+
+  return occurrences;
+};
+
+exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
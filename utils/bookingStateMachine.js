@@ -0,0 +1,304 @@
+// utils/bookingStateMachine.js
+// Single place that defines how a booking moves between statuses: the allowed
+// transitions, who may trigger each one (driver, owner or system) and their
+// side effects. Every transition is recorded in `booking.statusHistory`.
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const Parking = require('../models/Parking');
+const Notification = require('../models/Notification');
+const AppError = require('./AppError');
+const { releaseBooking } = require('./capacityLedger');
+const { getCancellationTerms, getRefundPaymentStatus } = require('./cancellationPolicy');
+const { refundBookingPayment } = require('./payments');
+const { debitWallet } = require('./wallet');
+const { issueInvoice } = require('./invoice');
+const { releasePromoRedemption } = require('./promoCodes');
+const { offerFreedCapacity } = require('./waitlist');
+const { revokeQrToken } = require('./qrTokens');
+const { getArrivalWindow } = require('./checkIn');
+const { round } = require('./pricing');
+
+// Statuses after which the booking's QR code must not open the gate again
+const CLOSED_STATUSES = ['completed', 'cancelled', 'expired', 'no_show'];
+const MAX_REFUND_ATTEMPTS = 5;
+
+// Uses the parking's check-in policy when the parking is populated
+const activationGuard = (booking, { now }) => {
+  const { opensAt, earlyArrivalMinutes } = getArrivalWindow(booking, booking.parking);
+  if (now < opensAt) {
+    return `Cannot activate booking more than ${earlyArrivalMinutes} minutes before start time`;
+  }
+  return null;
+};
+
+// Late cancellations are charged by the cancellation policy, but a started booking cannot be cancelled
+const cancellationGuard = (booking, { role, now }) => {
+  if (role === 'driver' && booking.startTime <= now) {
+    return 'Cannot cancel a booking that has already started';
+  }
+  return null;
+};
+
+const loadParking = async (booking) => {
+  if (booking.populated('parking') && booking.parking.cancellationPolicy && booking.parking.owner) {
+    return booking.parking;
+  }
+  return Parking.findById(booking.parking._id).select('name owner cancellationPolicy');
+};
+
+const notify = async (data) => {
+  try {
+    await Notification.create(data);
+  } catch (notificationError) {
+    console.error('Failed to send booking notification:', notificationError);
+  }
+};
+
+// Tell the driver and the owner about a cancellation and its refund
+const notifyCancellation = async (booking) => {
+  const parking = await loadParking(booking);
+  const { cancellation } = booking;
+
+  const refundMessage = cancellation.refundAmount > 0
+    ? ` سيتم استرداد ${cancellation.refundAmount.toFixed(2)} درهم.`
+    : '';
+  const feeMessage = cancellation.cancellationFee > 0
+    ? ` رسوم الإلغاء: ${cancellation.cancellationFee.toFixed(2)} درهم.`
+    : '';
+  const metadata = {
+    parkingId: parking._id,
+    parkingName: parking.name,
+    cancelledBy: cancellation.cancelledBy,
+    cancellationFee: cancellation.cancellationFee,
+    refundAmount: cancellation.refundAmount,
+  };
+
+  await notify({
+    user: booking.user._id,
+    title: 'تم إلغاء الحجز ❌',
+    message: `تم إلغاء حجزك في ${parking.name}.${feeMessage}${refundMessage}`,
+    type: 'booking_cancelled',
+    relatedBooking: booking._id,
+    metadata
+  });
+  await notify({
+    user: parking.owner,
+    title: 'تم إلغاء حجز ❌',
+    message: `تم إلغاء حجز في ${parking.name}.${feeMessage}`,
+    type: 'booking_cancelled',
+    relatedBooking: booking._id,
+    metadata
+  });
+};
+
+// Offer the capacity a booking gave back to drivers on the waitlist
+const offerToWaitlist = async (booking, from = booking.startTime) => {
+  try {
+    await offerFreedCapacity(booking.parking._id, from, booking.endTime);
+  } catch (waitlistError) {
+    console.error('Failed to offer freed capacity to the waitlist:', waitlistError);
+  }
+};
+
+// Refund what is left of a cancelled booking's refund. The payment status only changes once the
+// money is back; a failure is recorded on the booking so the lifecycle worker can retry it.
+const refundCancellation = async (booking) => {
+  const { cancellation } = booking;
+  const remaining = round(cancellation.refundAmount - (cancellation.refundedAmount || 0));
+
+  try {
+    await refundBookingPayment(booking, remaining, 'Booking cancelled');
+    cancellation.refundedAmount = cancellation.refundAmount;
+    cancellation.refundStatus = 'succeeded';
+    cancellation.refundError = undefined;
+    booking.paymentStatus = getRefundPaymentStatus(cancellation.paidAmount, cancellation.refundAmount);
+  } catch (refundError) {
+    console.error('Failed to refund cancelled booking:', refundError);
+    cancellation.refundedAmount = round((cancellation.refundedAmount || 0) + (refundError.refundedAmount || 0));
+    cancellation.refundStatus = 'failed';
+    cancellation.refundError = refundError.message;
+  }
+
+  cancellation.refundAttempts = (cancellation.refundAttempts || 0) + 1;
+  await booking.save();
+};
+
+// from -> to -> who may trigger it (and an optional guard returning an error message)
+const TRANSITIONS = {
+  pending: {
+    confirmed: { roles: ['owner', 'system'] },
+    cancelled: { roles: ['driver', 'owner', 'system'], guard: cancellationGuard },
+    expired: { roles: ['system'] },
+  },
+  confirmed: {
+    active: { roles: ['owner', 'system'], guard: activationGuard },
+    cancelled: { roles: ['driver', 'owner'], guard: cancellationGuard },
+    no_show: { roles: ['owner', 'system'] },
+  },
+  active: {
+    completed: { roles: ['owner', 'system'] },
+  },
+};
+
+// Side effects when entering a status: `before` runs before saving, `after` once saved
+const EFFECTS = {
+  active: {
+    before: (booking, now) => {
+      booking.isConfirmed = true;
+      booking.actualStartTime = booking.actualStartTime || now; // Start the timer
+    },
+  },
+  completed: {
+    before: async (booking, now) => {
+      booking.actualEndTime = now;
+      if (booking.actualStartTime) {
+        booking.actualDuration = Math.floor((now - booking.actualStartTime) / (1000 * 60)); // in minutes
+      }
+      if (booking.isOverstayed) {
+        await booking.calculateOverstayCharge();
+      }
+    },
+    after: async (booking, now) => {
+      await releaseBooking(booking, now);
+      if (now < booking.endTime) {
+        await offerToWaitlist(booking, now); // Completed early
+      }
+      // The time was already used, so the overstay is deducted even if the balance goes negative
+      if (booking.paymentMethod === 'wallet' && booking.overstayCharge > 0) {
+        await debitWallet(booking.user._id, booking.overstayCharge, {
+          type: 'overstay_charge',
+          booking: booking._id,
+          description: `Overstay of ${booking.overstayDuration} minutes`,
+          reference: `overstay:${booking._id}`,
+          allowNegative: true,
+        });
+      }
+      try {
+        await issueInvoice(booking);
+      } catch (invoiceError) {
+        // GET /bookings/:id/invoice issues it on first request instead
+        console.error('Failed to issue invoice:', invoiceError);
+      }
+    },
+  },
+  cancelled: {
+    // Apply the parking's cancellation policy and record the refund
+    before: async (booking, now, { role, reason }) => {
+      const parking = await loadParking(booking);
+      const terms = getCancellationTerms(booking, parking, { role, now });
+
+      booking.cancellation = {
+        cancelledAt: now,
+        cancelledBy: role,
+        reason,
+        feePercent: terms.feePercent,
+        cancellationFee: terms.cancellationFee,
+        paidAmount: terms.paidAmount,
+        refundAmount: terms.refundAmount,
+        refundStatus: terms.refundAmount > 0 ? 'pending' : undefined,
+      };
+    },
+    after: async (booking) => {
+      await releaseBooking(booking);
+      await releasePromoRedemption(booking);
+      if (booking.cancellation.refundAmount > 0) {
+        await refundCancellation(booking);
+      }
+      await notifyCancellation(booking);
+      await offerToWaitlist(booking);
+    },
+  },
+  expired: {
+    after: async (booking) => {
+      await releaseBooking(booking);
+      await releasePromoRedemption(booking);
+      await offerToWaitlist(booking);
+    },
+  },
+  no_show: {
+    after: async (booking, now) => {
+      await releaseBooking(booking);
+      await offerToWaitlist(booking, now);
+    },
+  },
+};
+
+const getTransition = (from, to) => (TRANSITIONS[from] && TRANSITIONS[from][to]) || null;
+
+// Whether `role` may move the booking to `to` right now
+exports.canTransition = (booking, to, role, now = new Date()) => {
+  const rule = getTransition(booking.status, to);
+  if (!rule || !rule.roles.includes(role)) return false;
+  return !rule.guard || !rule.guard(booking, { role, now });
+};
+
+// Role of a user towards a booking (parking must be populated with its owner)
+exports.getActorRole = (booking, userId) => {
+  if (booking.user._id.toString() === userId) return 'driver';
+  if (booking.parking && booking.parking.owner && booking.parking.owner._id.toString() === userId) return 'owner';
+  return null;
+};
+
+// Record the initial status of a new booking
+exports.initializeHistory = (booking, { role, userId, reason = 'Booking created' } = {}) => {
+  booking.statusHistory.push({ from: null, to: booking.status, actor: userId, actorRole: role, reason, at: new Date() });
+};
+
+// Move a booking to a new status, running side effects and recording history
+exports.transition = async (booking, to, { role, userId, reason } = {}) => {
+  const from = booking.status;
+  const rule = getTransition(from, to);
+
+  if (!rule) {
+    throw new AppError(400, `Cannot change booking status from ${from} to ${to}`);
+  }
+
+  if (!rule.roles.includes(role)) {
+    throw new AppError(403, `Not allowed to change booking status from ${from} to ${to}`);
+  }
+
+  const now = new Date();
+  const guardError = rule.guard && rule.guard(booking, { role, now });
+  if (guardError) {
+    throw new AppError(400, guardError);
+  }
+
+  const effects = EFFECTS[to] || {};
+  const context = { role, userId, reason };
+  if (effects.before) await effects.before(booking, now, context);
+
+  booking.status = to;
+  booking.statusHistory.push({ from, to, actor: userId, actorRole: role, reason, at: now });
+  await booking.save();
+
+  if (CLOSED_STATUSES.includes(to)) {
+    await revokeQrToken(booking, to);
+  }
+
+  if (effects.after) await effects.after(booking, now, context);
+
+  return booking;
+};
+
+// Retry refunds of cancelled bookings that failed, or were interrupted before they ran (called by the
+// lifecycle worker). Gives up after MAX_REFUND_ATTEMPTS; those stay `failed` for the admin to settle.
+exports.retryCancellationRefunds = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: 'cancelled',
+    'cancellation.refundAttempts': { $lt: MAX_REFUND_ATTEMPTS },
+    $or: [
+      { 'cancellation.refundStatus': 'failed' },
+      { 'cancellation.refundStatus': 'pending', 'cancellation.cancelledAt': { $lt: moment(now).subtract(5, 'minutes').toDate() } },
+    ],
+  });
+
+  let refunded = 0;
+  for (const booking of bookings) {
+    await refundCancellation(booking);
+    if (booking.cancellation.refundStatus === 'succeeded') refunded++;
+  }
+
+  return refunded;
+};
+
+exports.TRANSITIONS = TRANSITIONS;
@@ -1,29 +1,242 @@
 // utils/bookingUtils.js
 const Booking = require('../models/Booking');
 const Parking = require('../models/Parking');
+const Notification = require('../models/Notification');
+const AppError = require('./AppError');
+const { transition } = require('./bookingStateMachine');
+const { getArrivalWindow } = require('./checkIn');
+const { SLOT_MINUTES } = require('./capacityLedger');
 
-// Auto-update booking statuses
+// Bookings are made in blocks of one capacity ledger slot (15 minutes), up to 30 days
+const BOOKING_BLOCK_MINUTES = SLOT_MINUTES;
+const MAX_BOOKING_DAYS = 30;
+
+exports.BOOKING_BLOCK_MINUTES = BOOKING_BLOCK_MINUTES;
+exports.MAX_BOOKING_DAYS = MAX_BOOKING_DAYS;
+
+// Start of the booking block containing `date`
+exports.getBlockStart = (date) => {
+  const blockMs = BOOKING_BLOCK_MINUTES * 60 * 1000;
+  return new Date(Math.floor(date.getTime() / blockMs) * blockMs);
+};
+
+// Whether a window starting at `startTime` starts before the current booking block
+// (a start snapped back into the current block still counts as upcoming)
+exports.startsInPast = (startTime) => startTime < exports.getBlockStart(new Date());
+
+// Resolve a booking window from a start time plus either
+// `duration` (hours, e.g. 0.5), `durationMinutes` or an explicit `endTime` (multi-day stays).
+// The start moves back to its booking block (10:07 becomes 10:00) and the duration is kept.
+exports.resolveBookingWindow = ({ startTime, duration, durationMinutes, endTime }) => {
+  const requestedStart = new Date(startTime);
+  if (!startTime || isNaN(requestedStart.getTime())) {
+    throw new AppError(400, 'A valid start time is required');
+  }
+
+  const start = exports.getBlockStart(requestedStart);
+
+  let minutes;
+  if (endTime) {
+    const end = new Date(endTime);
+    if (isNaN(end.getTime())) {
+      throw new AppError(400, 'Invalid end time');
+    }
+    minutes = (end.getTime() - requestedStart.getTime()) / (60 * 1000);
+  } else if (durationMinutes !== undefined && durationMinutes !== '') {
+    minutes = parseFloat(durationMinutes);
+  } else if (duration !== undefined && duration !== '') {
+    minutes = parseFloat(duration) * 60;
+  } else {
+    throw new AppError(400, 'Duration or end time is required');
+  }
+
+  if (isNaN(minutes) || minutes < BOOKING_BLOCK_MINUTES) {
+    throw new AppError(400, `Booking must last at least ${BOOKING_BLOCK_MINUTES} minutes`);
+  }
+
+  if (minutes % BOOKING_BLOCK_MINUTES !== 0) {
+    throw new AppError(400, `Booking duration must be a multiple of ${BOOKING_BLOCK_MINUTES} minutes`);
+  }
+
+  if (minutes > MAX_BOOKING_DAYS * 24 * 60) {
+    throw new AppError(400, `Booking cannot be longer than ${MAX_BOOKING_DAYS} days`);
+  }
+
+  return {
+    startTime: start,
+    endTime: new Date(start.getTime() + minutes * 60 * 1000),
+    duration: minutes / 60, // in hours
+    durationMinutes: minutes,
+  };
+};
+
+// Human readable duration for notifications (Arabic)
+exports.formatDurationAr = (minutes) => {
+  if (minutes < 60) return `${minutes} دقيقة`;
+
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  const rest = minutes % 60;
+
+  return [
+    days > 0 ? `${days} يوم` : null,
+    hours > 0 ? `${hours} ساعة` : null,
+    rest > 0 ? `${rest} دقيقة` : null,
+  ].filter(Boolean).join(' و ');
+};
+
+// Lifecycle timings (minutes)
+const PENDING_PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PENDING_PAYMENT_TIMEOUT_MINUTES) || 15;
+
+// Apply a system transition; returns false when the booking changed in the meantime
+const systemTransition = async (booking, to, reason) => {
+  try {
+    await transition(booking, to, { role: 'system', reason });
+    return true;
+  } catch (error) {
+    if (error.name === 'VersionError' || error.isOperational) return false;
+    throw error;
+  }
+};
+
+const notify = async (data) => {
+  try {
+    await Notification.create(data);
+  } catch (notificationError) {
+    console.error('Failed to send lifecycle notification:', notificationError);
+  }
+};
+
+// Activate confirmed bookings once they start if the driver is already on site
+const activateArrivedBookings = async (now) => {
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    isArrived: true,
+    startTime: { $lte: now },
+    endTime: { $gt: now }
+  });
+
+  let activated = 0;
+  for (const booking of bookings) {
+    if (await systemTransition(booking, 'active', 'Driver on site at start time')) activated++;
+  }
+
+  return activated;
+};
+
+// Expire pending bookings that were never paid
+const expireUnpaidBookings = async (now) => {
+  const paymentDeadline = new Date(now.getTime() - PENDING_PAYMENT_TIMEOUT_MINUTES * 60 * 1000);
+
+  const bookings = await Booking.find({
+    status: 'pending',
+    paymentStatus: { $ne: 'paid' },
+    $or: [
+      { createdAt: { $lte: paymentDeadline } },
+      { startTime: { $lte: now } }
+    ]
+  }).populate('parking', 'name');
+
+  let expired = 0;
+  for (const booking of bookings) {
+    if (!await systemTransition(booking, 'expired', 'Payment not completed')) continue;
+
+    expired++;
+    await notify({
+      user: booking.user,
+      title: 'انتهت صلاحية الحجز ⌛',
+      message: `انتهت صلاحية حجزك في ${booking.parking.name} لعدم إتمام الدفع.`,
+      type: 'booking_expired',
+      relatedBooking: booking._id,
+      metadata: { parkingId: booking.parking._id, parkingName: booking.parking.name }
+    });
+  }
+
+  return expired;
+};
+
+// Mark confirmed bookings as no-show when the driver did not arrive within the parking's late arrival window
+const markNoShows = async (now) => {
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    isArrived: false,
+    startTime: { $lte: now }
+  }).populate('parking', 'name owner checkInPolicy');
+
+  let noShows = 0;
+  for (const booking of bookings) {
+    const { closesAt, lateArrivalMinutes } = getArrivalWindow(booking, booking.parking);
+    if (closesAt > now) continue;
+
+    if (!await systemTransition(booking, 'no_show', `Driver did not arrive within ${lateArrivalMinutes} minutes`)) continue;
+
+    noShows++;
+
+    const metadata = { parkingId: booking.parking._id, parkingName: booking.parking.name };
+    await notify({
+      user: booking.user,
+      title: 'لم يتم الحضور ❌',
+      message: `لم تحضر إلى ${booking.parking.name} في الوقت المحدد، تم إلغاء حجزك.`,
+      type: 'booking_no_show',
+      relatedBooking: booking._id,
+      metadata
+    });
+    await notify({
+      user: booking.parking.owner,
+      title: 'سائق لم يحضر ❌',
+      message: `لم يحضر السائق إلى ${booking.parking.name}، تم تحرير المكان.`,
+      type: 'booking_no_show',
+      relatedBooking: booking._id,
+      metadata
+    });
+  }
+
+  return noShows;
+};
+
+// Flag active bookings that are past their end time (once)
+const flagOverstays = async (now) => {
+  const bookings = await Booking.find({
+    status: 'active',
+    endTime: { $lt: now },
+    overstayFlaggedAt: null
+  }).populate('parking', 'name owner');
+
+  for (const booking of bookings) {
+    await Booking.updateOne({ _id: booking._id }, { overstayFlaggedAt: now });
+
+    const metadata = { parkingId: booking.parking._id, parkingName: booking.parking.name, endTime: booking.endTime };
+    await notify({
+      user: booking.user,
+      title: 'تجاوزت وقت الحجز ⏰',
+      message: `انتهى وقت حجزك في ${booking.parking.name}. سيتم احتساب رسوم إضافية عن الوقت الزائد.`,
+      type: 'booking_overstay',
+      relatedBooking: booking._id,
+      metadata
+    });
+    await notify({
+      user: booking.parking.owner,
+      title: 'تجاوز وقت الحجز ⏰',
+      message: `سيارة في ${booking.parking.name} تجاوزت وقت الحجز.`,
+      type: 'booking_overstay',
+      relatedBooking: booking._id,
+      metadata
+    });
+  }
+
+  return bookings.length;
+};
+
+// Run all booking lifecycle transitions (called by the lifecycle worker)
 exports.updateBookingStatuses = async () => {
   const now = new Date();
-  
-  // Activate bookings that should be active
-  await Booking.updateMany(
-    {
-      status: 'confirmed',
-      startTime: { $lte: now },
-      endTime: { $gte: now }
-    },
-    { status: 'active' }
-  );
-
-  // Complete expired bookings
-  await Booking.updateMany(
-    {
-      status: { $in: ['active', 'confirmed'] },
-      endTime: { $lt: now }
-    },
-    { status: 'completed' }
-  );
+
+  return {
+    activated: await activateArrivedBookings(now),
+    expired: await expireUnpaidBookings(now),
+    noShows: await markNoShows(now),
+    overstays: await flagOverstays(now),
+  };
 };
 
 // Get parking availability for a time range
@@ -33,7 +246,7 @@ exports.getParkingAvailability = async (parkingId, startTime, endTime) => {
 
   const activeBookings = await Booking.countDocuments({
     parking: parkingId,
-    status: { $in: ['confirmed', 'active'] },
+    status: { $in: Booking.OCCUPYING_STATUSES },
     $or: [
       { startTime: { $lt: endTime }, endTime: { $gt: startTime } }
     ]
@@ -0,0 +1,49 @@
+// utils/cancellationPolicy.js
+const { round } = require('./pricing');
+
+// Free until 1 hour before start, then the full amount is kept
+const DEFAULT_POLICY = {
+  freeCancellationHours: 1,
+  lateCancellationFeePercent: 100,
+};
+
+const getPolicy = (parking) => {
+  const policy = parking.cancellationPolicy || {};
+  return {
+    ...DEFAULT_POLICY,
+    ...(typeof policy.toObject === 'function' ? policy.toObject() : policy),
+  };
+};
+
+// Fee and refund for cancelling a booking now. Only drivers pay a fee;
+// owner and system cancellations are always free.
+exports.getCancellationTerms = (booking, parking, { role, now = new Date() } = {}) => {
+  const policy = getPolicy(parking);
+  const hoursUntilStart = (booking.startTime - now) / (1000 * 60 * 60);
+
+  const isFree = role !== 'driver' || hoursUntilStart >= policy.freeCancellationHours;
+  const feePercent = isFree ? 0 : policy.lateCancellationFeePercent;
+  const cancellationFee = round(booking.totalAmount * feePercent / 100);
+
+  // An extra amount from a reschedule that was not paid yet is not refunded
+  const paidAmount = booking.paymentStatus === 'paid' ? round(booking.totalAmount - (booking.amountDue || 0)) : 0;
+  const refundAmount = round(Math.max(0, paidAmount - cancellationFee));
+
+  return {
+    isFree,
+    freeCancellationHours: policy.freeCancellationHours,
+    hoursUntilStart: round(hoursUntilStart),
+    feePercent,
+    cancellationFee,
+    paidAmount,
+    refundAmount,
+  };
+};
+
+// Payment status after refunding `refundAmount` of `paidAmount`
+exports.getRefundPaymentStatus = (paidAmount, refundAmount) => {
+  if (refundAmount <= 0) return 'paid';
+  return refundAmount >= paidAmount ? 'refunded' : 'partially_refunded';
+};
+
+exports.DEFAULT_POLICY = DEFAULT_POLICY;
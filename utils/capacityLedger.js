@@ -0,0 +1,191 @@
+// utils/capacityLedger.js
+// Per-slot reservation ledger. Every booking adds its id to the slots it covers,
+// and a slot only accepts a new holder while it is below capacity. Each slot
+// update is atomic, so parallel bookings can never overbook a parking or a spot.
+const CapacitySlot = require('../models/CapacitySlot');
+const Booking = require('../models/Booking');
+const PassPlan = require('../models/PassPlan');
+
+// Also the booking block (see utils/bookingUtils): windows start on a slot boundary and last whole
+// slots, so a booking ending at 10:15 and one starting at 10:15 never share a slot
+const SLOT_MINUTES = 15;
+const SLOT_MS = SLOT_MINUTES * 60 * 1000;
+
+// Start times of the slots covering [startTime, endTime)
+const getSlotStarts = (startTime, endTime) => {
+  const slots = [];
+  let slot = Math.floor(startTime.getTime() / SLOT_MS) * SLOT_MS;
+
+  while (slot < endTime.getTime()) {
+    slots.push(new Date(slot));
+    slot += SLOT_MS;
+  }
+
+  return slots;
+};
+
+const isDuplicateKeyError = (error) => {
+  if (error.writeErrors && error.writeErrors.length > 0) {
+    return error.writeErrors.every(e => (e.code || (e.err && e.err.code)) === 11000);
+  }
+  return error.code === 11000;
+};
+
+// Create missing slot documents, seeded with bookings made before they existed
+const ensureSlots = async (resource, seedFilter, slotStarts) => {
+  const existing = await CapacitySlot.find({ resource, slotStart: { $in: slotStarts } }).select('slotStart');
+  const existingTimes = new Set(existing.map(slot => slot.slotStart.getTime()));
+  const missing = slotStarts.filter(slotStart => !existingTimes.has(slotStart.getTime()));
+
+  if (missing.length === 0) return;
+
+  const windowStart = missing[0];
+  const windowEnd = new Date(missing[missing.length - 1].getTime() + SLOT_MS);
+
+  const bookings = await Booking.find({
+    ...seedFilter,
+    status: { $in: Booking.OCCUPYING_STATUSES },
+    startTime: { $lt: windowEnd },
+    endTime: { $gt: windowStart }
+  }).select('startTime endTime');
+
+  const docs = missing.map(slotStart => {
+    const slotEnd = new Date(slotStart.getTime() + SLOT_MS);
+    return {
+      resource,
+      slotStart,
+      holders: bookings
+        .filter(b => b.startTime < slotEnd && b.endTime > slotStart)
+        .map(b => b._id)
+    };
+  });
+
+  try {
+    await CapacitySlot.insertMany(docs, { ordered: false });
+  } catch (error) {
+    // Another request created the same slots first
+    if (!isDuplicateKeyError(error)) throw error;
+  }
+};
+
+// Add `holder` to every slot of the window. Returns the newly reserved slot starts,
+// or null (with nothing reserved) when at least one slot is full.
+// `capacity` is a number or a function giving the capacity of a slot.
+const reserve = async ({ resource, capacity, seedFilter }, holder, startTime, endTime) => {
+  const capacityOf = typeof capacity === 'function' ? capacity : () => capacity;
+
+  const slotStarts = getSlotStarts(startTime, endTime);
+  if (slotStarts.length === 0) return [];
+
+  await ensureSlots(resource, seedFilter, slotStarts);
+
+  // Skip slots the holder already occupies (e.g. the boundary slot of an extension)
+  const held = await CapacitySlot.find({ resource, slotStart: { $in: slotStarts }, holders: holder }).select('slotStart');
+  const heldTimes = new Set(held.map(slot => slot.slotStart.getTime()));
+  const toReserve = slotStarts.filter(slotStart => !heldTimes.has(slotStart.getTime()));
+
+  if (toReserve.length === 0) return [];
+
+  // One conditional update per distinct capacity
+  const slotsByCapacity = new Map();
+  for (const slotStart of toReserve) {
+    const slotCapacity = capacityOf(slotStart);
+    if (slotCapacity < 1) return null;
+    if (!slotsByCapacity.has(slotCapacity)) slotsByCapacity.set(slotCapacity, []);
+    slotsByCapacity.get(slotCapacity).push(slotStart);
+  }
+
+  let modifiedCount = 0;
+  for (const [slotCapacity, slots] of slotsByCapacity) {
+    const result = await CapacitySlot.updateMany(
+      {
+        resource,
+        slotStart: { $in: slots },
+        [`holders.${slotCapacity - 1}`]: { $exists: false }
+      },
+      { $addToSet: { holders: holder } }
+    );
+    modifiedCount += result.modifiedCount;
+    if (result.modifiedCount !== slots.length) break;
+  }
+
+  if (modifiedCount === toReserve.length) return toReserve;
+
+  // At least one slot was full: undo the partial reservation
+  await exports.undoReservation(resource, holder, toReserve);
+  return null;
+};
+
+// Reserve parking capacity for a booking window (minus spots reserved for pass holders)
+exports.reserveParking = async (parking, bookingId, startTime, endTime) => {
+  const plans = await PassPlan.find({ parking: parking._id, isActive: true });
+
+  const capacity = (slotStart) => parking.totalSpots - plans
+    .filter(plan => plan.coversTime(slotStart, parking))
+    .reduce((total, plan) => total + plan.reservedSpots, 0);
+
+  return reserve(
+    { resource: parking._id, capacity: plans.length > 0 ? capacity : parking.totalSpots, seedFilter: { parking: parking._id } },
+    bookingId,
+    startTime,
+    endTime
+  );
+};
+
+// Reserve a single spot for a booking window
+exports.reserveSpot = (spotId, bookingId, startTime, endTime) => reserve(
+  { resource: spotId, capacity: 1, seedFilter: { spot: spotId } },
+  bookingId,
+  startTime,
+  endTime
+);
+
+// Undo a reservation returned by reserveParking/reserveSpot
+exports.undoReservation = async (resource, holder, slotStarts) => {
+  if (!slotStarts || slotStarts.length === 0) return;
+
+  await CapacitySlot.updateMany(
+    { resource, slotStart: { $in: slotStarts } },
+    { $pull: { holders: holder } }
+  );
+};
+
+// Free everything a booking holds, optionally only from `fromTime` on
+exports.releaseBooking = async (booking, fromTime) => {
+  const resources = [booking.parking._id];
+  if (booking.spot) resources.push(booking.spot._id);
+
+  const filter = { resource: { $in: resources }, holders: booking._id };
+  if (fromTime) {
+    filter.slotStart = { $gte: new Date(Math.floor(fromTime.getTime() / SLOT_MS) * SLOT_MS) };
+  }
+
+  await CapacitySlot.updateMany(filter, { $pull: { holders: booking._id } });
+};
+
+// Free every slot of `resource` taken by `holder` (e.g. a waitlist hold)
+exports.releaseHolder = async (resource, holder) => {
+  await CapacitySlot.updateMany({ resource, holders: holder }, { $pull: { holders: holder } });
+};
+
+// Hand the slots held by `fromHolder` over to `toHolder` without freeing them in between
+exports.transferReservation = async (resource, fromHolder, toHolder) => {
+  await CapacitySlot.updateMany(
+    { resource, holders: fromHolder },
+    { $set: { 'holders.$': toHolder } }
+  );
+};
+
+// Occupied slots of `resource` from the current slot on, as { slotStart, used }
+exports.getUpcomingUsage = (resource) => {
+  const currentSlot = new Date(Math.floor(Date.now() / SLOT_MS) * SLOT_MS);
+
+  return CapacitySlot.aggregate([
+    { $match: { resource, slotStart: { $gte: currentSlot }, 'holders.0': { $exists: true } } },
+    { $project: { _id: 0, slotStart: 1, used: { $size: '$holders' } } },
+    { $sort: { slotStart: 1 } },
+  ]);
+};
+
+exports.SLOT_MINUTES = SLOT_MINUTES;
+exports.getSlotStarts = getSlotStarts;
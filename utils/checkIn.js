@@ -0,0 +1,33 @@
+// utils/checkIn.js
+// Arrival window of a booking: how early a driver may enter before the start
+// time and how late they may still arrive before the booking is a no-show.
+// Parkings set both in `checkInPolicy`; unset values use the defaults below.
+const DEFAULT_EARLY_ARRIVAL_MINUTES = 30;
+const DEFAULT_LATE_ARRIVAL_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES) || 30;
+const MAX_EARLY_ARRIVAL_MINUTES = 120; // QR codes are signed to be valid this early
+
+const policyValue = (parking, field, fallback) => {
+  const policy = parking && parking.checkInPolicy;
+  return policy && typeof policy[field] === 'number' ? policy[field] : fallback;
+};
+
+// When the driver may check in. `parking` needs its `checkInPolicy` (defaults apply otherwise).
+exports.getArrivalWindow = (booking, parking) => {
+  const earlyArrivalMinutes = policyValue(parking, 'earlyArrivalMinutes', DEFAULT_EARLY_ARRIVAL_MINUTES);
+  const lateArrivalMinutes = policyValue(parking, 'lateArrivalMinutes', DEFAULT_LATE_ARRIVAL_MINUTES);
+
+  return {
+    earlyArrivalMinutes,
+    lateArrivalMinutes,
+    opensAt: new Date(booking.startTime.getTime() - earlyArrivalMinutes * 60 * 1000),
+    // Never later than the end of the booking
+    closesAt: new Date(Math.min(
+      booking.startTime.getTime() + lateArrivalMinutes * 60 * 1000,
+      booking.endTime.getTime()
+    )),
+  };
+};
+
+exports.DEFAULT_EARLY_ARRIVAL_MINUTES = DEFAULT_EARLY_ARRIVAL_MINUTES;
+exports.DEFAULT_LATE_ARRIVAL_MINUTES = DEFAULT_LATE_ARRIVAL_MINUTES;
+exports.MAX_EARLY_ARRIVAL_MINUTES = MAX_EARLY_ARRIVAL_MINUTES;
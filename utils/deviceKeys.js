@@ -0,0 +1,17 @@
+// utils/deviceKeys.js
+// API keys of devices installed at parkings (barrier gates, occupancy sensors).
+// Only a hash of a key is stored; the key itself is shown to the owner once.
+const crypto = require('crypto');
+
+exports.hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// New key with a readable prefix, e.g. "gate_..."; `keyPrefix` tells keys apart in lists
+exports.generateApiKey = (prefix) => {
+  const apiKey = `${prefix}${crypto.randomBytes(24).toString('base64url')}`;
+
+  return {
+    apiKey,
+    apiKeyHash: exports.hashApiKey(apiKey),
+    keyPrefix: apiKey.slice(0, prefix.length + 6),
+  };
+};
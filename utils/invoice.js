@@ -0,0 +1,291 @@
+// utils/invoice.js
+// Issues invoices for completed bookings and renders them as JSON or PDF in
+// Arabic or English.
+const fs = require('fs');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Parking = require('../models/Parking');
+const User = require('../models/User');
+const AppError = require('./AppError');
+const { round } = require('./pricing');
+
+const TAX_PERCENT = process.env.INVOICE_TAX_PERCENT !== undefined
+  ? Number(process.env.INVOICE_TAX_PERCENT)
+  : 20;
+
+// Arabic needs a font with Arabic glyphs; DejaVu Sans ships with most Linux distributions
+const UNICODE_FONT_PATHS = [
+  process.env.INVOICE_FONT_PATH,
+  '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+].filter(Boolean);
+
+const LANGUAGES = ['ar', 'en'];
+
+const LABELS = {
+  en: {
+    title: 'Invoice',
+    number: 'Invoice no.',
+    issuedAt: 'Date',
+    billedTo: 'Billed to',
+    parking: 'Parking',
+    operator: 'Operator',
+    bookedPeriod: 'Booked period',
+    actualPeriod: 'Actual parking time',
+    paymentMethod: 'Payment method',
+    description: 'Description',
+    amount: 'Amount',
+    subtotal: 'Subtotal (excl. tax)',
+    tax: 'VAT',
+    total: 'Total',
+    minutes: 'min',
+    currency: 'MAD',
+    lines: {
+      base: 'Parking time',
+      discount: 'Promo discount',
+      extension: 'Extension',
+      overstay: 'Overstay',
+    },
+    paymentMethods: {
+      cash: 'Cash',
+      card: 'Card',
+      wallet: 'Wallet',
+    },
+  },
+  ar: {
+    title: 'فاتورة',
+    number: 'رقم الفاتورة',
+    issuedAt: 'التاريخ',
+    billedTo: 'فاتورة إلى',
+    parking: 'الموقف',
+    operator: 'المشغل',
+    bookedPeriod: 'فترة الحجز',
+    actualPeriod: 'وقت الركن الفعلي',
+    paymentMethod: 'طريقة الدفع',
+    description: 'البيان',
+    amount: 'المبلغ',
+    subtotal: 'المجموع قبل الضريبة',
+    tax: 'ضريبة القيمة المضافة',
+    total: 'المجموع',
+    minutes: 'دقيقة',
+    currency: 'درهم',
+    lines: {
+      base: 'مدة الركن',
+      discount: 'خصم رمز الترويج',
+      extension: 'تمديد',
+      overstay: 'تجاوز الوقت',
+    },
+    paymentMethods: {
+      cash: 'نقداً',
+      card: 'بطاقة',
+      wallet: 'المحفظة',
+    },
+  },
+};
+
+exports.getInvoiceLanguage = (lang) => (LANGUAGES.includes(lang) ? lang : 'ar');
+
+// Next number of the yearly sequence, e.g. INV-2025-000042
+const nextInvoiceNumber = async (date, session) => {
+  const year = date.getFullYear();
+  const seq = await Counter.next(`invoice-${year}`, session);
+  return `INV-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// Base time, promo discount, one line per extension, and the overstay
+const buildLines = (booking) => {
+  const extensions = booking.extensions || [];
+  const extensionsTotal = extensions.reduce((total, extension) => total + extension.amount, 0);
+  const discount = (booking.discount && booking.discount.amount) || 0;
+  const originalEnd = booking.originalEndTime || booking.endTime;
+
+  const lines = [{
+    type: 'base',
+    minutes: Math.round((originalEnd - booking.startTime) / (1000 * 60)),
+    amount: round(booking.totalAmount + discount - extensionsTotal),
+  }];
+
+  if (discount > 0) {
+    lines.push({ type: 'discount', amount: -round(discount) });
+  }
+
+  for (const extension of extensions) {
+    lines.push({ type: 'extension', minutes: extension.minutes, amount: round(extension.amount) });
+  }
+
+  if (booking.overstayCharge > 0) {
+    lines.push({ type: 'overstay', minutes: booking.overstayDuration, amount: round(booking.overstayCharge) });
+  }
+
+  return lines;
+};
+
+// Issue the invoice of a completed booking (returns the existing one if already issued)
+exports.issueInvoice = async (booking) => {
+  const existing = await Invoice.findOne({ booking: booking._id });
+  if (existing) return existing;
+
+  const parking = await Parking.findById(booking.parking._id).select('name address city contactPhone owner');
+  const [driver, owner] = await Promise.all([
+    User.findById(booking.user._id).select('name email phone'),
+    User.findById(parking.owner).select('name email phone'),
+  ]);
+
+  const lines = buildLines(booking);
+  const total = round(lines.reduce((sum, line) => sum + line.amount, 0));
+  const subtotal = round(total / (1 + TAX_PERCENT / 100));
+  const issuedAt = booking.actualEndTime || new Date();
+
+  // The number is taken in the same transaction as the invoice, so a failed insert gives it back
+  // and the sequence stays gap-free
+  try {
+    return await mongoose.connection.transaction(async (session) => {
+      const [invoice] = await Invoice.create([{
+        number: await nextInvoiceNumber(issuedAt, session),
+        booking: booking._id,
+        user: driver._id,
+        owner: owner._id,
+        issuedAt,
+        driver: { name: driver.name, email: driver.email, phone: driver.phone },
+        ownerDetails: { name: owner.name, email: owner.email, phone: owner.phone },
+        parking: {
+          _id: parking._id,
+          name: parking.name,
+          address: parking.address,
+          city: parking.city,
+          contactPhone: parking.contactPhone,
+        },
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        actualStartTime: booking.actualStartTime,
+        actualEndTime: booking.actualEndTime,
+        paymentMethod: booking.paymentMethod,
+        lines,
+        taxPercent: TAX_PERCENT,
+        subtotal,
+        taxAmount: round(total - subtotal),
+        total,
+      }], { session });
+      return invoice;
+    });
+  } catch (error) {
+    // Issued concurrently by another request
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.booking) {
+      return Invoice.findOne({ booking: booking._id });
+    }
+    throw error;
+  }
+};
+
+// Invoice with translated labels
+exports.formatInvoice = (invoice, lang) => {
+  const labels = LABELS[lang];
+  const data = invoice.toObject();
+
+  return {
+    ...data,
+    lang,
+    paymentMethodLabel: labels.paymentMethods[data.paymentMethod] || data.paymentMethod,
+    currencyLabel: labels.currency,
+    lines: data.lines.map(line => ({ ...line, description: labels.lines[line.type] })),
+  };
+};
+
+const findUnicodeFont = () => UNICODE_FONT_PATHS.find(fontPath => fs.existsSync(fontPath));
+
+const formatDate = (date) => (date ? moment(date).format('YYYY-MM-DD HH:mm') : '-');
+const formatAmount = (amount) => amount.toFixed(2);
+
+// Render the invoice as a PDF buffer. Arabic needs a font with Arabic glyphs (INVOICE_FONT_PATH).
+exports.renderInvoicePdf = (invoice, lang) => new Promise((resolve, reject) => {
+  const fontPath = findUnicodeFont();
+  if (!fontPath && lang === 'ar') {
+    return reject(new AppError(500, 'No Arabic font is installed for invoices, set INVOICE_FONT_PATH'));
+  }
+
+  const labels = LABELS[lang];
+  const rtl = lang === 'ar';
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  if (fontPath) doc.font(fontPath);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const labelWidth = 170;
+  const align = rtl ? 'right' : 'left';
+
+  // Labels and values are drawn separately so Arabic text never mixes with numbers
+  const row = (label, value) => {
+    const y = doc.y;
+    const labelX = rtl ? left + width - labelWidth : left;
+    const valueX = rtl ? left : left + labelWidth;
+    doc.text(label, labelX, y, { width: labelWidth, align });
+    doc.text(value || '-', valueX, y, { width: width - labelWidth, align });
+    doc.moveDown(0.3);
+  };
+
+  doc.fontSize(22).text(labels.title, left, doc.y, { width, align });
+  doc.moveDown(0.5);
+  doc.fontSize(10);
+
+  row(labels.number, invoice.number);
+  row(labels.issuedAt, formatDate(invoice.issuedAt));
+  doc.moveDown();
+
+  row(labels.billedTo, invoice.driver.name);
+  row('', [invoice.driver.email, invoice.driver.phone].filter(Boolean).join(' / '));
+  row(labels.parking, invoice.parking.name);
+  row('', [invoice.parking.address, invoice.parking.city].filter(Boolean).join(', '));
+  row(labels.operator, invoice.ownerDetails.name);
+  row('', [invoice.ownerDetails.email, invoice.parking.contactPhone || invoice.ownerDetails.phone].filter(Boolean).join(' / '));
+  doc.moveDown();
+
+  row(labels.bookedPeriod, `${formatDate(invoice.startTime)} - ${formatDate(invoice.endTime)}`);
+  row(labels.actualPeriod, `${formatDate(invoice.actualStartTime)} - ${formatDate(invoice.actualEndTime)}`);
+  row(labels.paymentMethod, labels.paymentMethods[invoice.paymentMethod] || invoice.paymentMethod);
+  doc.moveDown();
+
+  // Line items: description | minutes | amount
+  const amountWidth = 120;
+  const minutesWidth = 100;
+  const descriptionWidth = width - amountWidth - minutesWidth;
+  const columns = rtl
+    ? { description: left + amountWidth + minutesWidth, minutes: left + amountWidth, amount: left }
+    : { description: left, minutes: left + descriptionWidth, amount: left + descriptionWidth + minutesWidth };
+
+  const lineRow = (description, minutes, amount) => {
+    const y = doc.y;
+    doc.text(description, columns.description, y, { width: descriptionWidth, align });
+    if (minutes) doc.text(minutes, columns.minutes, y, { width: minutesWidth, align: 'center' });
+    doc.text(amount, columns.amount, y, { width: amountWidth, align: rtl ? 'left' : 'right' });
+    doc.moveDown(0.4);
+  };
+
+  const rule = () => {
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+    doc.moveDown(0.4);
+  };
+
+  lineRow(labels.description, labels.minutes, labels.amount);
+  rule();
+  for (const line of invoice.lines) {
+    lineRow(labels.lines[line.type], line.minutes ? String(line.minutes) : '', formatAmount(line.amount));
+  }
+  rule();
+
+  lineRow(labels.subtotal, '', formatAmount(invoice.subtotal));
+  lineRow(labels.tax, `${invoice.taxPercent}%`, formatAmount(invoice.taxAmount));
+  doc.fontSize(12);
+  lineRow(labels.total, '', `${formatAmount(invoice.total)} ${invoice.currency}`);
+
+  doc.end();
+});
+
+exports.TAX_PERCENT = TAX_PERCENT;
@@ -0,0 +1,67 @@
+// utils/lifecycleWorker.js
+// In-process scheduler for booking lifecycle transitions, payout settlement, pass
+// renewals, checkout holds and waitlist offers. Several API instances can run it
+// at once: each tick first takes a lease lock in Mongo, so only one instance does
+// the work per interval.
+const os = require('os');
+const crypto = require('crypto');
+const Lock = require('../models/Lock');
+const { updateBookingStatuses } = require('./bookingUtils');
+const { settlePayouts } = require('./settlement');
+const { processPassRenewals } = require('./passes');
+const { processWaitlist } = require('./waitlist');
+const { expireHolds } = require('./bookingHolds');
+const { retryCancellationRefunds } = require('./bookingStateMachine');
+
+const LOCK_NAME = 'booking-lifecycle';
+const holder = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+let timer = null;
+let running = false;
+
+const tick = async (intervalMs) => {
+  // Skip if the previous run is still going on this instance
+  if (running) return;
+  running = true;
+
+  try {
+    const acquired = await Lock.acquire(LOCK_NAME, holder, intervalMs * 2);
+    if (!acquired) return;
+
+    const result = await updateBookingStatuses();
+    result.settled = await settlePayouts();
+    result.refundsRetried = await retryCancellationRefunds();
+    const passes = await processPassRenewals();
+    result.passesRenewed = passes.renewed;
+    result.passesExpired = passes.expired;
+    result.holdsExpired = await expireHolds();
+    const waitlist = await processWaitlist();
+    result.waitlistExpired = waitlist.expired;
+    result.waitlistOffered = waitlist.offered;
+    const changed = Object.values(result).some(count => count > 0);
+    if (changed) {
+      console.log('🔄 Booking lifecycle:', result);
+    }
+  } catch (error) {
+    console.error('Booking lifecycle worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+exports.startLifecycleWorker = (intervalMs = 60 * 1000) => {
+  if (timer) return;
+
+  timer = setInterval(() => tick(intervalMs), intervalMs);
+  timer.unref();
+
+  console.log(`🔄 Booking lifecycle worker started (every ${intervalMs / 1000}s)`);
+};
+
+exports.stopLifecycleWorker = async () => {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+  await Lock.release(LOCK_NAME, holder);
+};
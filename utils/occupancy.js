@@ -0,0 +1,160 @@
+// utils/occupancy.js
+// Live occupancy from sensors. Bay sensors report whether their spot is taken;
+// counters report how many cars are in the parking (several counters, e.g. one
+// per level, add up). Readings older than OCCUPANCY_STALE_MINUTES are ignored.
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const PassPlan = require('../models/PassPlan');
+const OccupancySensor = require('../models/OccupancySensor');
+const OccupancyReading = require('../models/OccupancyReading');
+const AppError = require('./AppError');
+const { BOOKING_BLOCK_MINUTES } = require('./bookingUtils');
+
+const STALE_MINUTES = parseInt(process.env.OCCUPANCY_STALE_MINUTES) || 15;
+// Cars parked now are assumed to still be there for availability windows starting this soon
+const SENSOR_HORIZON_MINUTES = 60;
+
+// Occupancy the fresh sensors of a parking see, or null when none reported recently.
+// `parking` needs its `totalSpots`. With bay sensors only, spots without a fresh sensor
+// count as taken when a checked-in booking uses them (or has no spot assigned).
+exports.getSensorOccupancy = async (parking, now = new Date()) => {
+  const sensors = await OccupancySensor.find({
+    parking: parking._id,
+    isActive: true,
+    reportedAt: { $gte: moment(now).subtract(STALE_MINUTES, 'minutes').toDate() },
+  });
+  if (sensors.length === 0) return null;
+
+  const counters = sensors.filter(sensor => sensor.type === 'counter');
+  const spotSensors = sensors.filter(sensor => sensor.type === 'spot');
+
+  // Counters see the whole parking, bay sensors only the spots they watch
+  let counted;
+  if (counters.length > 0) {
+    counted = counters.reduce((sum, sensor) => sum + (sensor.occupiedSpots || 0), 0);
+  } else {
+    const checkedInElsewhere = await Booking.countDocuments({
+      parking: parking._id,
+      status: 'active',
+      spot: { $nin: spotSensors.map(sensor => sensor.spot) },
+    });
+    const uncoveredSpots = Math.max(0, parking.totalSpots - spotSensors.length);
+    counted = spotSensors.filter(sensor => sensor.occupied).length + Math.min(checkedInElsewhere, uncoveredSpots);
+  }
+  const occupiedSpots = Math.min(counted, parking.totalSpots);
+
+  return {
+    source: counters.length > 0 ? 'counter' : 'spot',
+    occupiedSpots,
+    freeSpots: Math.max(0, parking.totalSpots - occupiedSpots),
+    coveredSpots: counters.length > 0 ? parking.totalSpots : spotSensors.length,
+    totalSpots: parking.totalSpots,
+    sensors: sensors.length,
+    updatedAt: new Date(Math.max(...sensors.map(sensor => sensor.reportedAt.getTime()))),
+  };
+};
+
+// Throw a 400 when a reading is not valid for the sensor (checked for a whole batch before any is stored)
+exports.validateReading = (sensor, { occupied, occupiedSpots, delta, at }, now = new Date()) => {
+  const readAt = at ? new Date(at) : now;
+
+  if (isNaN(readAt.getTime())) {
+    throw new AppError(400, 'Invalid reading time');
+  }
+  if (readAt > moment(now).add(1, 'minute').toDate()) {
+    throw new AppError(400, 'Reading time is in the future');
+  }
+
+  if (sensor.type === 'spot') {
+    if (typeof occupied !== 'boolean') {
+      throw new AppError(400, 'Spot sensors must report occupied true or false');
+    }
+  } else if (occupiedSpots !== undefined) {
+    if (!Number.isInteger(occupiedSpots) || occupiedSpots < 0) {
+      throw new AppError(400, 'occupiedSpots must be a whole number of cars');
+    }
+  } else if (!Number.isInteger(delta) || delta === 0) {
+    throw new AppError(400, 'Counters must report occupiedSpots or a non-zero delta');
+  }
+
+  return readAt;
+};
+
+// Store one reading of a sensor and update its live state. Spot sensors send `occupied`,
+// counters the number of cars (`occupiedSpots`) or a change (`delta`, e.g. +1 on entry).
+// Readings older than the latest one are stored for history but do not change the live state.
+exports.recordReading = async (sensor, input) => {
+  const now = new Date();
+  const readAt = exports.validateReading(sensor, input, now);
+  const { occupied, occupiedSpots, delta } = input;
+
+  const isLatest = !sensor.reportedAt || readAt >= sensor.reportedAt;
+  const reading = { parking: sensor.parking._id, sensor: sensor._id, spot: sensor.spot, at: readAt };
+
+  if (sensor.type === 'spot') {
+    reading.occupied = occupied;
+
+    if (isLatest) {
+      sensor.set({ occupied, reportedAt: readAt });
+      await OccupancySensor.updateOne({ _id: sensor._id }, { occupied, reportedAt: readAt });
+    }
+  } else if (occupiedSpots !== undefined) {
+    reading.occupiedSpots = occupiedSpots;
+
+    if (isLatest) {
+      sensor.set({ occupiedSpots, reportedAt: readAt });
+      await OccupancySensor.updateOne({ _id: sensor._id }, { occupiedSpots, reportedAt: readAt });
+    }
+  } else {
+    // Applied to the current count atomically, as entry and exit loops may report at the same time
+    const updated = await OccupancySensor.findOneAndUpdate(
+      { _id: sensor._id },
+      [{
+        $set: {
+          occupiedSpots: { $max: [0, { $add: [{ $ifNull: ['$occupiedSpots', 0] }, delta] }] },
+          reportedAt: { $max: ['$reportedAt', readAt] },
+        },
+      }],
+      { new: true }
+    );
+    sensor.set({ occupiedSpots: updated.occupiedSpots, reportedAt: updated.reportedAt });
+    reading.occupiedSpots = updated.occupiedSpots;
+  }
+
+  const parkingOccupancy = await exports.getSensorOccupancy(sensor.parking, now);
+  reading.parkingOccupiedSpots = parkingOccupancy ? parkingOccupancy.occupiedSpots : undefined;
+
+  return OccupancyReading.create(reading);
+};
+
+// Take cars the sensors see without a booking (walk-ins, cars that were never checked in) off the
+// booked availability of a window. Only windows starting soon are adjusted; later ones keep the
+// booked figure. Returns the adjusted number of free spots and the sensor data that was used.
+exports.combineWithSensors = async (parking, { availableSpots }, startTime, endTime, now = new Date()) => {
+  const isSoon = startTime <= moment(now).add(SENSOR_HORIZON_MINUTES, 'minutes').toDate() && endTime > now;
+  if (!isSoon) {
+    return { availableSpots, sensors: null };
+  }
+
+  const sensorOccupancy = await exports.getSensorOccupancy(parking, now);
+  if (!sensorOccupancy) {
+    return { availableSpots, sensors: null };
+  }
+
+  // Checked-in bookings and pass holders are already counted by the booked availability
+  const activeBookings = await Booking.countDocuments({ parking: parking._id, status: 'active' });
+  const reservedSpots = await PassPlan.getReservedSpots(
+    parking._id,
+    now,
+    moment(now).add(BOOKING_BLOCK_MINUTES, 'minutes').toDate()
+  );
+  const unbookedCars = Math.max(0, sensorOccupancy.occupiedSpots - activeBookings - reservedSpots);
+
+  return {
+    availableSpots: Math.max(0, availableSpots - unbookedCars),
+    sensors: { ...sensorOccupancy, unbookedCars },
+  };
+};
+
+exports.STALE_MINUTES = STALE_MINUTES;
+exports.SENSOR_HORIZON_MINUTES = SENSOR_HORIZON_MINUTES;
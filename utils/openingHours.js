@@ -0,0 +1,179 @@
+// utils/openingHours.js
+// Opening hours are wall-clock times in the parking's own `timezone` (IANA name, e.g.
+// "Africa/Casablanca"), whatever timezone the server runs in. Days are walked as
+// UTC moments carrying the local date and converted back to instants with Intl.
+const moment = require('moment');
+
+const DEFAULT_TIMEZONE = process.env.PARKING_TIMEZONE || 'Africa/Casablanca';
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const formatters = new Map();
+
+// Offset of `timeZone` from UTC at the instant `ms`, in milliseconds
+const getOffset = (timeZone, ms) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timeZone).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (ms - (((ms % 1000) + 1000) % 1000));
+};
+
+// Local date and time of an instant, as a UTC moment
+const toLocal = (timeZone, ms) => moment.utc(ms + getOffset(timeZone, ms));
+
+// Instant of a local date and time given as a UTC moment (twice, to settle across DST changes)
+const toInstant = (timeZone, local) => {
+  const wallClock = local.valueOf();
+  const guess = wallClock - getOffset(timeZone, wallClock);
+  return wallClock - getOffset(timeZone, guess);
+};
+
+const getTimezone = (parking) => parking.timezone || DEFAULT_TIMEZONE;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Hours that apply on a given day: weekday override first, then the default opening hours
+const getDayHours = (parking, day) => {
+  const override = (parking.weeklyHours || []).find(h => h.day === day.day());
+  if (override) return override;
+
+  const { open24, openTime, closeTime } = parking.openingHours || {};
+  if (open24 !== false) return { open24: true };
+
+  return { openTime, closeTime };
+};
+
+// Open intervals ([startMs, endMs]) overlapping the window, merged and minus closures
+const getOpenIntervals = (parking, startTime, endTime) => {
+  const intervals = [];
+  const timeZone = getTimezone(parking);
+
+  // Start one day earlier: the previous day may stay open past midnight
+  const day = toLocal(timeZone, startTime.getTime()).startOf('day').subtract(1, 'day');
+  const lastDay = toLocal(timeZone, endTime.getTime()).startOf('day');
+
+  while (day.isSameOrBefore(lastDay)) {
+    const hours = getDayHours(parking, day);
+
+    if (!hours.isClosed) {
+      if (hours.open24 || !hours.openTime || !hours.closeTime) {
+        intervals.push([toInstant(timeZone, day), toInstant(timeZone, day.clone().add(1, 'day'))]);
+      } else {
+        const open = day.clone().add(toMinutes(hours.openTime), 'minutes');
+        const close = day.clone().add(toMinutes(hours.closeTime), 'minutes');
+        if (!close.isAfter(open)) close.add(1, 'day'); // Overnight hours, e.g. 20:00-06:00
+
+        intervals.push([toInstant(timeZone, open), toInstant(timeZone, close)]);
+      }
+    }
+
+    day.add(1, 'day');
+  }
+
+  // Merge touching/overlapping intervals
+  intervals.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  intervals.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  });
+
+  // Remove closures
+  return (parking.closures || []).reduce((open, closure) => {
+    const closedFrom = new Date(closure.startDate).getTime();
+    const closedTo = new Date(closure.endDate).getTime();
+
+    return open.flatMap(([from, to]) => {
+      if (closedTo <= from || closedFrom >= to) return [[from, to]];
+
+      const parts = [];
+      if (closedFrom > from) parts.push([from, closedFrom]);
+      if (closedTo < to) parts.push([closedTo, to]);
+      return parts;
+    });
+  }, merged);
+};
+
+// Closures overlapping the window
+exports.getClosuresInWindow = (parking, startTime, endTime) => {
+  return (parking.closures || []).filter(closure =>
+    closure.startDate < endTime && closure.endDate > startTime
+  );
+};
+
+// Reason the parking cannot be booked for the window, or null when it is open the whole time
+exports.getClosedReason = (parking, startTime, endTime) => {
+  const [closure] = exports.getClosuresInWindow(parking, startTime, endTime);
+  if (closure) {
+    return `Parking is closed during the selected time${closure.reason ? ` (${closure.reason})` : ''}`;
+  }
+
+  const start = startTime.getTime();
+  const end = endTime.getTime();
+  const coversWindow = getOpenIntervals(parking, startTime, endTime)
+    .some(([from, to]) => from <= start && to >= end);
+
+  return coversWindow ? null : 'Selected time is outside the parking opening hours';
+};
+
+// First part of the window during which the parking is open, or null if it is closed throughout
+exports.trimToOpeningHours = (parking, startTime, endTime) => {
+  const start = startTime.getTime();
+  const end = endTime.getTime();
+
+  const interval = getOpenIntervals(parking, startTime, endTime)
+    .find(([from, to]) => to > start && from < end);
+
+  if (!interval) return null;
+
+  return {
+    startTime: new Date(Math.max(interval[0], start)),
+    endTime: new Date(Math.min(interval[1], end))
+  };
+};
+
+// Whether `timeZone` is an IANA timezone name the runtime knows
+exports.isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Start of the parking's next local day after `date` (e.g. the end of a whole-day closure)
+exports.getNextLocalMidnight = (parking, date) => {
+  const timeZone = getTimezone(parking);
+  return new Date(toInstant(timeZone, toLocal(timeZone, date.getTime()).startOf('day').add(1, 'day')));
+};
+
+// Local date and time of `date` in the parking's timezone, as a UTC moment (read with .day(), .hours()...)
+exports.getLocalTime = (parking, date) => toLocal(getTimezone(parking), date.getTime());
+
+// Instant of a local date and time (a UTC moment as returned by getLocalTime) in the parking's timezone
+exports.fromLocalTime = (parking, local) => new Date(toInstant(getTimezone(parking), local));
+
+exports.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+exports.TIME_FORMAT = TIME_FORMAT;
@@ -0,0 +1,15 @@
+// utils/parkingUtils.js
+const Parking = require('../models/Parking');
+const AppError = require('./AppError');
+
+// Load a parking and make sure the given user owns it
+exports.findOwnedParking = async (parkingId, userId) => {
+  const parking = await Parking.findById(parkingId);
+  if (!parking) throw new AppError(404, 'Parking not found');
+
+  if (parking.owner.toString() !== userId) {
+    throw new AppError(403, 'You do not have permission to manage this parking');
+  }
+
+  return parking;
+};
@@ -0,0 +1,191 @@
+// utils/passes.js
+// Selling, renewing and expiring passes. Passes are paid from the driver's
+// wallet so they can renew automatically.
+const moment = require('moment');
+const Pass = require('../models/Pass');
+const Notification = require('../models/Notification');
+const AppError = require('./AppError');
+const { debitWallet, creditWallet } = require('./wallet');
+
+const MAX_START_DAYS_AHEAD = 30;
+
+const notify = async (data) => {
+  try {
+    await Notification.create(data);
+  } catch (notificationError) {
+    console.error('Failed to send pass notification:', notificationError);
+  }
+};
+
+const findOverlappingPasses = (plan, validFrom, validUntil) => Pass.find({
+  plan: plan._id,
+  status: 'active',
+  validFrom: { $lt: validUntil },
+  validUntil: { $gt: validFrom },
+}).select('_id').sort({ _id: 1 });
+
+// After saving, make sure the pass is within the plan's reserved spots. When two
+// drivers buy the last spot at once, the later pass loses.
+const isWithinCapacity = async (pass, plan) => {
+  const passes = await findOverlappingPasses(plan, pass.validFrom, pass.validUntil);
+  return passes.slice(0, plan.reservedSpots).some(p => p._id.equals(pass._id));
+};
+
+// Buy a pass starting at `startDate` (defaults to now)
+exports.purchasePass = async (userId, plan, { startDate, autoRenew = true } = {}) => {
+  if (!plan.isActive) {
+    throw new AppError(400, 'This pass plan is not available');
+  }
+
+  const now = new Date();
+  const validFrom = startDate ? new Date(startDate) : now;
+  if (isNaN(validFrom.getTime())) {
+    throw new AppError(400, 'Invalid start date');
+  }
+  if (validFrom < moment(now).startOf('day').toDate() || validFrom > moment(now).add(MAX_START_DAYS_AHEAD, 'days').toDate()) {
+    throw new AppError(400, `Pass must start between today and ${MAX_START_DAYS_AHEAD} days from now`);
+  }
+
+  const validUntil = moment(validFrom).add(plan.durationDays, 'days').toDate();
+
+  const sold = await findOverlappingPasses(plan, validFrom, validUntil);
+  if (sold.length >= plan.reservedSpots) {
+    throw new AppError(400, 'This pass plan is sold out for the selected period');
+  }
+
+  const pass = new Pass({
+    user: userId,
+    parking: plan.parking,
+    plan: plan._id,
+    type: plan.type,
+    validFrom,
+    validUntil,
+    autoRenew,
+    periods: [{ validFrom, validUntil, amount: plan.price }],
+  });
+  pass.generateQRCode();
+
+  if (plan.price > 0) {
+    await debitWallet(userId, plan.price, {
+      type: 'pass_payment',
+      description: `${plan.name} pass`,
+      reference: `pass:${pass._id}:0`,
+    });
+  }
+
+  const refund = () => plan.price > 0 && creditWallet(userId, plan.price, {
+    type: 'refund',
+    description: `${plan.name} pass`,
+    reference: `pass-refund:${pass._id}:0`,
+  });
+
+  try {
+    await pass.save();
+  } catch (error) {
+    await refund();
+    throw error;
+  }
+
+  if (!(await isWithinCapacity(pass, plan))) {
+    pass.status = 'cancelled';
+    pass.autoRenew = false;
+    await pass.save();
+    await refund();
+    throw new AppError(400, 'This pass plan is sold out for the selected period');
+  }
+
+  await notify({
+    user: userId,
+    title: 'تم شراء الاشتراك 🎫',
+    message: `اشتراكك "${plan.name}" صالح من ${moment(validFrom).format('YYYY-MM-DD')} إلى ${moment(validUntil).format('YYYY-MM-DD')}.`,
+    type: 'pass_purchased',
+    metadata: { passId: pass._id, parkingId: plan.parking },
+  });
+
+  return pass;
+};
+
+// Add one period to a pass, right after the current one (or from now if it has lapsed)
+exports.renewPass = async (pass, plan) => {
+  if (pass.status === 'cancelled') {
+    throw new AppError(400, 'Cancelled passes cannot be renewed');
+  }
+  if (!plan.isActive) {
+    throw new AppError(400, 'This pass plan is no longer available');
+  }
+
+  const now = new Date();
+  const lapsed = pass.validUntil <= now && pass.status === 'expired';
+  const periodStart = lapsed ? now : pass.validUntil;
+  const periodEnd = moment(periodStart).add(plan.durationDays, 'days').toDate();
+
+  const sold = await findOverlappingPasses(plan, periodStart, periodEnd);
+  if (sold.filter(p => !p._id.equals(pass._id)).length >= plan.reservedSpots) {
+    throw new AppError(400, 'This pass plan is sold out for the next period');
+  }
+
+  if (plan.price > 0) {
+    await debitWallet(pass.user, plan.price, {
+      type: 'pass_payment',
+      description: `${plan.name} pass renewal`,
+      reference: `pass:${pass._id}:${pass.periods.length}`,
+    });
+  }
+
+  if (lapsed) pass.validFrom = periodStart;
+  pass.validUntil = periodEnd;
+  pass.status = 'active';
+  pass.periods.push({ validFrom: periodStart, validUntil: periodEnd, amount: plan.price });
+  await pass.save();
+
+  await notify({
+    user: pass.user,
+    title: 'تم تجديد الاشتراك 🔄',
+    message: `تم تجديد اشتراكك "${plan.name}" حتى ${moment(periodEnd).format('YYYY-MM-DD')}.`,
+    type: 'pass_renewed',
+    metadata: { passId: pass._id, parkingId: plan.parking, amount: plan.price },
+  });
+
+  return pass;
+};
+
+// Renew passes that reached their end (auto-renew) and expire the rest
+exports.processPassRenewals = async (now = new Date()) => {
+  const duePasses = await Pass.find({ status: 'active', validUntil: { $lte: now } }).populate('plan');
+  let renewed = 0;
+  let expired = 0;
+
+  for (const pass of duePasses) {
+    let renewalError = null;
+
+    if (pass.autoRenew && pass.plan) {
+      try {
+        await exports.renewPass(pass, pass.plan);
+        renewed++;
+        continue;
+      } catch (error) {
+        if (!error.isOperational) {
+          console.error(`Failed to renew pass ${pass._id}:`, error);
+          continue; // Retried on the next run
+        }
+        renewalError = error.message;
+      }
+    }
+
+    pass.status = 'expired';
+    await pass.save();
+    expired++;
+
+    await notify({
+      user: pass.user,
+      title: 'انتهى الاشتراك ⌛',
+      message: renewalError
+        ? `انتهى اشتراكك ولم يتم تجديده: ${renewalError}`
+        : 'انتهى اشتراكك. يمكنك تجديده من التطبيق.',
+      type: 'pass_expired',
+      metadata: { passId: pass._id, parkingId: pass.parking, renewalError },
+    });
+  }
+
+  return { renewed, expired };
+};
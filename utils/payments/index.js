@@ -0,0 +1,178 @@
+// utils/payments/index.js
+// Payment provider abstraction. A provider implements:
+//   name, supportsDirectConfirm
+//   createIntent({ amount, currency, metadata }) -> { id, clientSecret, status, ... }
+//   confirmIntent(intentId, { cardNumber }) -> { intent, event }   (only if supportsDirectConfirm)
+//   cancelIntent(intentId) -> intent                                  (voids an unconfirmed intent)
+//   refund(intentId, amount) -> { id, amount, status }
+//   verifyWebhook(rawBody, signature) -> event { id, type, data: { intentId, ... } }
+// The active provider is chosen with PAYMENT_PROVIDER and webhooks are signed with
+// PAYMENT_WEBHOOK_SECRET. Without a provider, card payments are unavailable (503);
+// cash and wallet bookings keep working.
+const Payment = require('../../models/Payment');
+const AppError = require('../AppError');
+const { CURRENCY, round } = require('../pricing');
+const { creditWallet, getBookingWalletTotal } = require('../wallet');
+
+const providers = {
+  mock: require('./mockProvider'),
+};
+
+// The mock gateway accepts any card, so it never runs outside development
+const DEVELOPMENT_PROVIDERS = ['mock'];
+
+exports.registerPaymentProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// Throws a 503 when card payments are not configured, or the provider may not run here
+exports.getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw new AppError(503, 'Card payments are not available');
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    console.error(`Unknown payment provider: ${name}`);
+    throw new AppError(503, 'Card payments are not available');
+  }
+
+  if (DEVELOPMENT_PROVIDERS.includes(name) && process.env.NODE_ENV !== 'development') {
+    console.error(`The ${name} payment provider can only be used with NODE_ENV=development`);
+    throw new AppError(503, 'Card payments are not available');
+  }
+
+  return provider;
+};
+
+// Whether new card payments can be taken (a usable provider is configured)
+exports.isCardPaymentAvailable = () => {
+  try {
+    exports.getPaymentProvider();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// What the driver still has to pay by card: the whole price, or the extra amount once the booking is paid
+exports.getAmountDue = (booking) => (booking.paymentStatus === 'paid' ? round(booking.amountDue || 0) : booking.totalAmount);
+
+// Create (or reuse) a payment intent for the amount due on a booking. Open intents for another
+// amount (the booking was re-priced since) are voided so they cannot be confirmed any more.
+exports.createBookingPayment = async (booking, amount = exports.getAmountDue(booking)) => {
+  const openPayments = await Payment.find({ booking: booking._id, status: 'requires_confirmation' });
+
+  const existing = openPayments.find(payment => payment.amount === amount);
+  if (existing) {
+    return existing;
+  }
+
+  const provider = exports.getPaymentProvider();
+
+  // If the provider already took the money, the webhook refunds it as the payment is cancelled here
+  for (const stale of openPayments) {
+    try {
+      await exports.getPaymentProvider(stale.provider).cancelIntent(stale.providerIntentId);
+    } catch (cancelError) {
+      console.error('Failed to cancel stale payment intent:', cancelError);
+    }
+    stale.status = 'cancelled';
+    await stale.save();
+  }
+
+  const intent = await provider.createIntent({
+    amount,
+    currency: CURRENCY,
+    metadata: { bookingId: booking._id.toString() },
+  });
+
+  return Payment.create({
+    booking: booking._id,
+    user: booking.user._id,
+    provider: provider.name,
+    providerIntentId: intent.id,
+    amount: intent.amount,
+    currency: intent.currency,
+    status: intent.status,
+    clientSecret: intent.clientSecret,
+  });
+};
+
+// Create a payment intent to top up a driver's wallet
+exports.createTopupPayment = async (userId, amount) => {
+  const provider = exports.getPaymentProvider();
+  const intent = await provider.createIntent({
+    amount,
+    currency: CURRENCY,
+    metadata: { userId: userId.toString(), purpose: 'wallet_topup' },
+  });
+
+  return Payment.create({
+    purpose: 'wallet_topup',
+    user: userId,
+    provider: provider.name,
+    providerIntentId: intent.id,
+    amount: intent.amount,
+    currency: intent.currency,
+    status: intent.status,
+    clientSecret: intent.clientSecret,
+  });
+};
+
+// Refund part of a booking's payments, to the wallet for wallet bookings and through the
+// provider otherwise. A card booking may have been paid in several payments (e.g. the extra
+// amount of a reschedule); they are refunded newest first. Returns null when there is nothing to refund.
+exports.refundBookingPayment = async (booking, amount, reason) => {
+  if (booking.paymentMethod === 'wallet') {
+    const refundAmount = round(Math.min(amount, await getBookingWalletTotal(booking._id)));
+    if (refundAmount <= 0) return null;
+
+    return creditWallet(booking.user._id, refundAmount, {
+      type: 'refund',
+      booking: booking._id,
+      description: reason,
+    });
+  }
+
+  const payments = await Payment.find({
+    booking: booking._id,
+    status: { $in: ['succeeded', 'partially_refunded'] },
+  }).sort({ createdAt: -1 });
+
+  const refunds = [];
+  let remaining = round(amount);
+
+  for (const payment of payments) {
+    let refund;
+    try {
+      refund = await exports.refundPayment(payment, remaining, reason);
+    } catch (error) {
+      // Lets the caller retry only what was not refunded yet
+      error.refundedAmount = round(amount - remaining);
+      throw error;
+    }
+    if (!refund) continue;
+
+    refunds.push(refund);
+    remaining = round(remaining - refund.amount);
+    if (remaining <= 0) break;
+  }
+
+  return refunds.length > 0 ? refunds : null;
+};
+
+// Refund up to `amount` of one succeeded card payment. Returns null when nothing is left on it.
+exports.refundPayment = async (payment, amount, reason) => {
+  const refundAmount = round(Math.min(amount, payment.amount - payment.refundedAmount));
+  if (refundAmount <= 0) return null;
+
+  const refund = await exports.getPaymentProvider(payment.provider).refund(payment.providerIntentId, refundAmount);
+
+  payment.refundedAmount = round(payment.refundedAmount + refundAmount);
+  payment.status = payment.refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded';
+  payment.refunds.push({ providerRefundId: refund.id, amount: refundAmount, reason });
+  await payment.save();
+
+  return { ...refund, amount: refundAmount };
+};
@@ -0,0 +1,123 @@
+// utils/payments/mockProvider.js
+// In-memory payment gateway for local development and offline end-to-end tests.
+// Card 4000000000000002 is declined, any other card number succeeds.
+const crypto = require('crypto');
+
+const DECLINED_CARD = '4000000000000002';
+
+const intents = new Map();
+
+const newId = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+
+const getIntent = (intentId) => {
+  const intent = intents.get(intentId);
+  if (!intent) throw new Error(`Payment intent ${intentId} not found`);
+  return intent;
+};
+
+const toEvent = (type, intent, extra = {}) => ({
+  id: newId('evt'),
+  type,
+  createdAt: new Date().toISOString(),
+  data: {
+    intentId: intent.id,
+    amount: intent.amount,
+    currency: intent.currency,
+    status: intent.status,
+    failureReason: intent.failureReason,
+    metadata: intent.metadata,
+    ...extra,
+  },
+});
+
+exports.name = 'mock';
+
+// The mock lets the API confirm intents directly (a real gateway confirms on the client)
+exports.supportsDirectConfirm = true;
+
+exports.createIntent = async ({ amount, currency, metadata = {} }) => {
+  const intent = {
+    id: newId('pi'),
+    clientSecret: newId('secret'),
+    amount,
+    currency,
+    metadata,
+    status: 'requires_confirmation',
+    refundedAmount: 0,
+    createdAt: new Date(),
+  };
+
+  intents.set(intent.id, intent);
+  return { ...intent };
+};
+
+// Confirm with a card; returns the intent and the event the gateway would send to the webhook
+exports.confirmIntent = async (intentId, { cardNumber } = {}) => {
+  const intent = getIntent(intentId);
+
+  if (intent.status !== 'requires_confirmation') {
+    throw new Error(`Payment intent ${intentId} is already ${intent.status}`);
+  }
+
+  if (String(cardNumber || '').replace(/\s/g, '') === DECLINED_CARD) {
+    intent.status = 'failed';
+    intent.failureReason = 'card_declined';
+  } else {
+    intent.status = 'succeeded';
+  }
+
+  const type = intent.status === 'succeeded' ? 'payment.succeeded' : 'payment.failed';
+  return { intent: { ...intent }, event: toEvent(type, intent) };
+};
+
+// Void an intent that was not confirmed (e.g. the booking was re-priced)
+exports.cancelIntent = async (intentId) => {
+  const intent = getIntent(intentId);
+
+  if (intent.status !== 'requires_confirmation') {
+    throw new Error(`Payment intent ${intentId} is already ${intent.status}`);
+  }
+
+  intent.status = 'cancelled';
+  return { ...intent };
+};
+
+exports.refund = async (intentId, amount) => {
+  const intent = getIntent(intentId);
+
+  if (intent.status !== 'succeeded') {
+    throw new Error(`Cannot refund a payment intent that is ${intent.status}`);
+  }
+
+  if (amount <= 0 || intent.refundedAmount + amount > intent.amount) {
+    throw new Error('Refund amount exceeds the captured amount');
+  }
+
+  intent.refundedAmount += amount;
+
+  return { id: newId('re'), intentId, amount, status: 'succeeded' };
+};
+
+// Sign a webhook payload the way the gateway would
+exports.signWebhook = (rawBody) => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+// Verify the signature of a webhook call and return its event
+exports.verifyWebhook = (rawBody, signature) => {
+  if (!rawBody || !signature) {
+    throw new Error('Missing webhook signature');
+  }
+
+  const expected = Buffer.from(exports.signWebhook(rawBody));
+  const received = Buffer.from(String(signature));
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  return JSON.parse(rawBody.toString());
+};
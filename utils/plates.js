@@ -0,0 +1,89 @@
+// utils/plates.js
+// License plate normalization, so a plate typed by a driver, read by a camera or
+// entered by an attendant always compares equal.
+//
+// Moroccan plates are `<number> <letter> <region>` with an Arabic letter, e.g.
+// "12345 | أ | 6". They are stored as "12345-A-6" with the letter transliterated.
+// Other plates are stored as their letters and digits only ("AB-123-CD" -> "AB123CD").
+const AppError = require('./AppError');
+
+const MOROCCAN_LETTERS = {
+  'أ': 'A',
+  'ا': 'A',
+  'ب': 'B',
+  'د': 'D',
+  'ه': 'H',
+  'ھ': 'H',
+  'و': 'W',
+  'ط': 'T',
+};
+const MOROCCAN_LATIN_LETTERS = 'ABDHWT';
+const ARABIC_LETTER = new RegExp(`[${Object.keys(MOROCCAN_LETTERS).join('')}]`, 'g');
+
+// Number first as printed; copied from right-to-left text the region comes first
+const MOROCCAN_PLATE = new RegExp(`^(\\d{1,6})([${MOROCCAN_LATIN_LETTERS}])(\\d{1,2})$`);
+const MOROCCAN_PLATE_REVERSED = new RegExp(`^(\\d{1,2})([${MOROCCAN_LATIN_LETTERS}])(\\d{3,6})$`);
+const INTERNATIONAL_PLATE = /^[A-Z0-9]{2,12}$/;
+
+// Arabic-Indic and Eastern Arabic-Indic digits to ASCII
+const toAsciiDigits = (value) => value
+  .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+  .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+
+const compact = (raw) => toAsciiDigits(String(raw))
+  .replace(/ـ/g, '') // Tatweel, as in "هـ"
+  .replace(ARABIC_LETTER, letter => MOROCCAN_LETTERS[letter])
+  .toUpperCase()
+  .replace(/[^A-Z0-9؀-ۿ]/g, '');
+
+const parseMoroccanPlate = (value) => {
+  const match = value.match(MOROCCAN_PLATE);
+  if (match) return `${Number(match[1])}-${match[2]}-${Number(match[3])}`;
+
+  const reversed = value.match(MOROCCAN_PLATE_REVERSED);
+  if (reversed) return `${Number(reversed[3])}-${reversed[2]}-${Number(reversed[1])}`;
+
+  return null;
+};
+
+// Normalize a plate. `country` is an ISO code; without it Moroccan plates are recognized by their format.
+// Returns { plate, country } and throws an AppError when the plate is not valid.
+exports.normalizePlate = (raw, { country } = {}) => {
+  const value = raw ? compact(raw) : '';
+  if (!value) {
+    throw new AppError(400, 'Plate number is required');
+  }
+
+  const countryCode = country ? String(country).toUpperCase() : null;
+
+  if (!countryCode || countryCode === 'MA') {
+    const moroccanPlate = parseMoroccanPlate(value);
+    if (moroccanPlate) return { plate: moroccanPlate, country: 'MA' };
+
+    if (countryCode === 'MA') {
+      throw new AppError(400, 'Invalid Moroccan plate number. Expected number, letter and region, e.g. 12345-أ-6');
+    }
+  }
+
+  if (!INTERNATIONAL_PLATE.test(value)) {
+    throw new AppError(400, 'Invalid plate number');
+  }
+
+  return { plate: value, country: countryCode };
+};
+
+// Every form a plate read without its country (camera, attendant) may be stored under: "12A345"
+// is a French plate as typed, or the Moroccan "345-A-12" copied from right-to-left text.
+exports.getPlateCandidates = (raw) => {
+  const value = raw ? compact(raw) : '';
+  if (!value) {
+    throw new AppError(400, 'Plate number is required');
+  }
+
+  const candidates = [parseMoroccanPlate(value), INTERNATIONAL_PLATE.test(value) ? value : null].filter(Boolean);
+  if (candidates.length === 0) {
+    throw new AppError(400, 'Invalid plate number');
+  }
+
+  return candidates;
+};
@@ -0,0 +1,161 @@
+// utils/pricing.js
+// Pricing engine. A booking window is split into hourly blocks from its start, cut
+// again wherever a rate may change (local midnight, peak hour edges), each block is
+// priced by the first rate rule that applies, then the daily maximum is applied per
+// 24h period. Days and hours are read in the parking's timezone. Add a rule to
+// RATE_RULES to support a new rate.
+const { getLocalTime, fromLocalTime } = require('./openingHours');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CURRENCY = 'MAD';
+const DEFAULT_OVERSTAY_MULTIPLIER = 1.5;
+const DEFAULT_WEEKEND_DAYS = [0, 6];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// `local` is a local time as returned by getLocalTime
+const isWithinTimeRange = (local, startTime, endTime) => {
+  const minutes = local.hours() * 60 + local.minutes();
+  const from = toMinutes(startTime);
+  const to = toMinutes(endTime);
+
+  // Ranges like 22:00-02:00 wrap around midnight
+  return from <= to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+};
+
+const getPricing = (parking) => {
+  const pricing = parking.pricing || {};
+  return typeof pricing.toObject === 'function' ? pricing.toObject() : pricing;
+};
+
+const hasRate = (value) => value !== undefined && value !== null;
+
+// Rules are checked in order; the last one always applies
+const RATE_RULES = [
+  {
+    type: 'first_hour',
+    label: 'First hour',
+    applies: (parking, pricing, block) => block.hour === 0 && hasRate(pricing.firstHourPrice),
+    rate: (parking, pricing) => pricing.firstHourPrice,
+  },
+  {
+    type: 'weekend',
+    label: 'Weekend rate',
+    applies: (parking, pricing, block) => hasRate(pricing.weekendPricePerHour) &&
+      (pricing.weekendDays && pricing.weekendDays.length > 0 ? pricing.weekendDays : DEFAULT_WEEKEND_DAYS)
+        .includes(block.localTime.day()),
+    rate: (parking, pricing) => pricing.weekendPricePerHour,
+  },
+  {
+    type: 'peak',
+    label: 'Peak rate',
+    applies: (parking, pricing, block) => hasRate(pricing.peakPricePerHour) &&
+      (pricing.peakHours || []).some(range => isWithinTimeRange(block.localTime, range.startTime, range.endTime)),
+    rate: (parking, pricing) => pricing.peakPricePerHour,
+  },
+  {
+    type: 'standard',
+    label: 'Standard rate',
+    applies: () => true,
+    rate: (parking) => parking.pricePerHour,
+  },
+];
+
+// Next instant after `from` where a rate may change: local midnight or a peak hour edge
+const getNextRateChange = (parking, pricing, from) => {
+  const localTime = getLocalTime(parking, new Date(from));
+  const day = localTime.clone().startOf('day');
+  const elapsed = localTime.diff(day, 'minutes', true);
+
+  const edges = [0];
+  (pricing.peakHours || []).forEach(range => edges.push(toMinutes(range.startTime), toMinutes(range.endTime)));
+
+  return Math.min(...edges.map(edge =>
+    fromLocalTime(parking, day.clone().add(edge > elapsed ? edge : edge + 24 * 60, 'minutes')).getTime()
+  ).filter(edge => edge > from));
+};
+
+// Itemized price for parking between startTime and endTime
+exports.quotePrice = (parking, startTime, endTime, rules = RATE_RULES) => {
+  const pricing = getPricing(parking);
+  const start = startTime.getTime();
+  const end = endTime.getTime();
+
+  const blocks = [];
+  for (let from = start, index = 0; from < end; index++) {
+    const hour = Math.floor((from - start) / HOUR_MS);
+    const to = Math.min(start + (hour + 1) * HOUR_MS, getNextRateChange(parking, pricing, from), end);
+    const block = { index, hour, startTime: new Date(from), localTime: getLocalTime(parking, new Date(from)) };
+    const rule = rules.find(r => r.applies(parking, pricing, block));
+    const rate = rule.rate(parking, pricing, block);
+    const hours = (to - from) / HOUR_MS;
+
+    blocks.push({ ...block, type: rule.type, label: rule.label, hours, rate, amount: rate * hours });
+    from = to;
+  }
+
+  // Group consecutive blocks priced the same way into line items
+  const lines = [];
+  blocks.forEach(block => {
+    const last = lines[lines.length - 1];
+    if (last && last.type === block.type && last.rate === block.rate) {
+      last.hours += block.hours;
+      last.amount += block.amount;
+    } else {
+      lines.push({ type: block.type, label: block.label, hours: block.hours, rate: block.rate, amount: block.amount });
+    }
+  });
+  lines.forEach(line => {
+    line.hours = round(line.hours);
+    line.amount = round(line.amount);
+  });
+
+  const subtotal = round(blocks.reduce((sum, block) => sum + block.amount, 0));
+
+  // Daily maximum per 24h period from the start
+  let dailyCapDiscount = 0;
+  if (hasRate(pricing.dailyMax)) {
+    const periods = {};
+    blocks.forEach(block => {
+      const period = Math.floor((block.startTime.getTime() - start) / DAY_MS);
+      periods[period] = (periods[period] || 0) + block.amount;
+    });
+
+    dailyCapDiscount = round(Object.values(periods)
+      .reduce((sum, amount) => sum + Math.max(0, amount - pricing.dailyMax), 0));
+
+    if (dailyCapDiscount > 0) {
+      lines.push({ type: 'daily_cap', label: 'Daily maximum', hours: 0, rate: pricing.dailyMax, amount: -dailyCapDiscount });
+    }
+  }
+
+  return {
+    startTime,
+    endTime,
+    durationHours: round((end - start) / HOUR_MS),
+    currency: CURRENCY,
+    lines,
+    subtotal,
+    dailyCapDiscount,
+    total: round(subtotal - dailyCapDiscount),
+  };
+};
+
+// Hourly rate charged for overstaying
+exports.getOverstayRate = (parking) => {
+  const pricing = getPricing(parking);
+  const multiplier = hasRate(pricing.overstayMultiplier) ? pricing.overstayMultiplier : DEFAULT_OVERSTAY_MULTIPLIER;
+  return parking.pricePerHour * multiplier;
+};
+
+exports.RATE_RULES = RATE_RULES;
+exports.CURRENCY = CURRENCY;
+exports.round = round;
@@ -0,0 +1,150 @@
+// utils/promoCodes.js
+const Booking = require('../models/Booking');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const AppError = require('./AppError');
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const includesIgnoringCase = (list, value) =>
+  list.some(item => item.toLowerCase() === String(value || '').toLowerCase());
+
+const LIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'active', 'completed'];
+
+// Why the promo code cannot be used for this booking, or null when it can
+const getIneligibilityReason = async (promo, { userId, parking, amount, now }) => {
+  if (!promo.isActive) return 'Promo code is no longer active';
+  if (promo.validFrom && promo.validFrom > now) return 'Promo code is not valid yet';
+  if (promo.validUntil && promo.validUntil < now) return 'Promo code has expired';
+
+  if (promo.maxRedemptions && promo.redemptionCount >= promo.maxRedemptions) {
+    return 'Promo code usage limit reached';
+  }
+
+  if (promo.parkings.length > 0 && !promo.parkings.some(id => id.equals(parking._id))) {
+    return 'Promo code is not valid for this parking';
+  }
+  if (promo.cities.length > 0 && !includesIgnoringCase(promo.cities, parking.city)) {
+    return 'Promo code is not valid in this city';
+  }
+  if (promo.zones.length > 0 && !promo.zones.includes(parking.zone)) {
+    return 'Promo code is not valid in this zone';
+  }
+
+  if (amount < promo.minBookingAmount) {
+    return `Promo code requires a booking of at least ${promo.minBookingAmount} MAD`;
+  }
+
+  const userRedemptions = await PromoRedemption.countDocuments({
+    promoCode: promo._id,
+    user: userId,
+    status: 'applied',
+  });
+  if (userRedemptions >= promo.maxRedemptionsPerUser) {
+    return 'You have already used this promo code';
+  }
+
+  if (promo.firstBookingOnly) {
+    const hasBooked = await Booking.exists({
+      user: userId,
+      status: { $in: LIVE_BOOKING_STATUSES },
+    });
+    if (hasBooked) return 'Promo code is only valid on your first booking';
+  }
+
+  return null;
+};
+
+// Check a promo code for a booking and compute its discount (throws 400 when not applicable)
+exports.validatePromoCode = async (code, { userId, parking, amount, now = new Date() }) => {
+  const promo = await PromoCode.findOne({ code: normalizeCode(code) });
+  if (!promo) {
+    throw new AppError(400, 'Invalid promo code');
+  }
+
+  const reason = await getIneligibilityReason(promo, { userId, parking, amount, now });
+  if (reason) {
+    throw new AppError(400, reason);
+  }
+
+  return { promo, discountAmount: promo.calculateDiscount(amount) };
+};
+
+// Record the redemption in the first free per-user slot. The unique indexes on PromoRedemption reject
+// a second request racing for the same slot, or a second first-booking code, so the checks in
+// getIneligibilityReason cannot be bypassed by parallel bookings.
+const createRedemption = async (promo, { userId, booking, discountAmount }) => {
+  for (let slot = 1; slot <= promo.maxRedemptionsPerUser; slot++) {
+    try {
+      return await PromoRedemption.create({
+        promoCode: promo._id,
+        code: promo.code,
+        user: userId,
+        booking: booking._id,
+        discountAmount,
+        slot,
+        firstBooking: promo.firstBookingOnly || undefined,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern) throw error;
+      if (error.keyPattern.firstBooking) {
+        throw new AppError(400, 'Promo code is only valid on your first booking');
+      }
+      if (!error.keyPattern.slot) throw error;
+    }
+  }
+
+  throw new AppError(400, 'You have already used this promo code');
+};
+
+// Take one use of the code for a booking. The global cap and the per-user limits are checked atomically.
+exports.redeemPromoCode = async (promo, { userId, booking, discountAmount }) => {
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      isActive: true,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } },
+      ],
+    },
+    { $inc: { redemptionCount: 1 } }
+  );
+
+  if (!claimed) {
+    throw new AppError(400, 'Promo code usage limit reached');
+  }
+
+  try {
+    const redemption = await createRedemption(promo, { userId, booking, discountAmount });
+
+    // A booking saved since the code was validated makes this one no longer the first
+    if (promo.firstBookingOnly && await Booking.exists({
+      user: userId,
+      _id: { $ne: booking._id },
+      status: { $in: LIVE_BOOKING_STATUSES },
+    })) {
+      await PromoRedemption.deleteOne({ _id: redemption._id });
+      throw new AppError(400, 'Promo code is only valid on your first booking');
+    }
+
+    return redemption;
+  } catch (error) {
+    await PromoCode.updateOne({ _id: promo._id }, { $inc: { redemptionCount: -1 } });
+    throw error;
+  }
+};
+
+// Give the use back when the booking does not go ahead
+exports.releasePromoRedemption = async (booking) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { booking: booking._id, status: 'applied' },
+    { status: 'released', releasedAt: new Date() }
+  );
+
+  if (redemption) {
+    await PromoCode.updateOne({ _id: redemption.promoCode }, { $inc: { redemptionCount: -1 } });
+  }
+};
+
+exports.normalizeCode = normalizeCode;
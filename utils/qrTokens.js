@@ -0,0 +1,186 @@
+// utils/qrTokens.js
+// Signed booking QR codes: `PARKLY.<payload>.<signature>` (base64url), signed with
+// Ed25519. The payload carries the booking and parking ids and the validity
+// window, so attendant devices can check a code offline with the public keys
+// from GET /qr/keys and the revocation list from GET /qr/revocations.
+//
+// Keys come from the environment:
+//   QR_SIGNING_KEY        current Ed25519 private key (PEM, "\n" escapes allowed)
+//   QR_SIGNING_KEY_ID     its key id, written into every code
+//   QR_VERIFICATION_KEYS  JSON { keyId: publicKeyPem } of previous keys that still verify
+// To rotate, generate a key with `npm run qr-keys`, move the current public key to
+// QR_VERIFICATION_KEYS and replace QR_SIGNING_KEY / QR_SIGNING_KEY_ID.
+// The keys are loaded at startup (see checkQrConfig); only development may run without a signing key.
+const crypto = require('crypto');
+const RevokedQrToken = require('../models/RevokedQrToken');
+const AppError = require('./AppError');
+const { MAX_EARLY_ARRIVAL_MINUTES } = require('./checkIn');
+
+const TOKEN_PREFIX = 'PARKLY';
+const TOKEN_VERSION = 1;
+
+// A code opens the gate from the earliest check-in any parking allows until a while after
+// the end (late exits); the parking's own check-in policy is applied when scanning
+const EARLY_ENTRY_MINUTES = MAX_EARLY_ARRIVAL_MINUTES;
+const LATE_EXIT_HOURS = 6;
+
+const readPem = (value) => value.replace(/\\n/g, '\n');
+
+let keyring = null;
+
+const loadKeyring = () => {
+  if (keyring) return keyring;
+
+  let signingKey;
+  let signingKeyId = process.env.QR_SIGNING_KEY_ID;
+
+  if (process.env.QR_SIGNING_KEY) {
+    signingKey = crypto.createPrivateKey(readPem(process.env.QR_SIGNING_KEY));
+  } else if (process.env.NODE_ENV !== 'development') {
+    throw new Error('QR_SIGNING_KEY is not set');
+  } else {
+    // Codes signed with a temporary key stop verifying after a restart
+    console.warn('⚠️ QR_SIGNING_KEY is not set, using a temporary QR signing key');
+    signingKey = crypto.generateKeyPairSync('ed25519').privateKey;
+  }
+
+  const publicKey = crypto.createPublicKey(signingKey);
+  if (!signingKeyId) {
+    signingKeyId = crypto.createHash('sha256')
+      .update(publicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  const verificationKeys = new Map([[signingKeyId, publicKey]]);
+  let previousKeys = {};
+  if (process.env.QR_VERIFICATION_KEYS) {
+    try {
+      previousKeys = JSON.parse(process.env.QR_VERIFICATION_KEYS);
+    } catch (error) {
+      throw new Error(`QR_VERIFICATION_KEYS is not valid JSON: ${error.message}`);
+    }
+  }
+  for (const [keyId, pem] of Object.entries(previousKeys)) {
+    if (!verificationKeys.has(keyId)) {
+      verificationKeys.set(keyId, crypto.createPublicKey(readPem(pem)));
+    }
+  }
+
+  keyring = { signingKey, signingKeyId, verificationKeys };
+  return keyring;
+};
+
+// Called at startup so a missing or broken key stops the server instead of the first booking
+exports.checkQrConfig = () => {
+  loadKeyring();
+};
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// Sign a QR code for a booking window. Returns the code, its id and when it stops being valid.
+exports.signQrToken = ({ bookingId, parkingId, startTime, endTime }) => {
+  const { signingKey, signingKeyId } = loadKeyring();
+
+  const notBefore = new Date(new Date(startTime).getTime() - EARLY_ENTRY_MINUTES * 60 * 1000);
+  const expiresAt = new Date(new Date(endTime).getTime() + LATE_EXIT_HOURS * 60 * 60 * 1000);
+
+  const payload = {
+    v: TOKEN_VERSION,
+    kid: signingKeyId,
+    jti: crypto.randomBytes(12).toString('base64url'),
+    bid: bookingId.toString(),
+    pid: parkingId.toString(),
+    nbf: toSeconds(notBefore),
+    exp: toSeconds(expiresAt),
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signedPart = `${TOKEN_PREFIX}.${encodedPayload}`;
+  const signature = crypto.sign(null, Buffer.from(signedPart), signingKey).toString('base64url');
+
+  return { token: `${signedPart}.${signature}`, tokenId: payload.jti, expiresAt };
+};
+
+exports.isSignedQrToken = (code) => typeof code === 'string' && code.startsWith(`${TOKEN_PREFIX}.`);
+
+// Check the signature and validity window of a code and return its payload
+exports.verifyQrToken = (token, now = new Date()) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    throw new AppError(400, 'Invalid QR code');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError(400, 'Invalid QR code');
+  }
+
+  // Valid JSON can still be null, a number or an array
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new AppError(400, 'Invalid QR code');
+  }
+
+  const publicKey = loadKeyring().verificationKeys.get(payload.kid);
+  if (!publicKey) {
+    throw new AppError(400, 'QR code was signed with an unknown key');
+  }
+
+  const isValidSignature = crypto.verify(
+    null,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    publicKey,
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!isValidSignature || payload.v !== TOKEN_VERSION) {
+    throw new AppError(400, 'Invalid QR code');
+  }
+
+  const nowSeconds = toSeconds(now);
+  if (nowSeconds < payload.nbf) {
+    throw new AppError(400, 'QR code is not valid yet');
+  }
+  if (nowSeconds >= payload.exp) {
+    throw new AppError(400, 'QR code has expired');
+  }
+
+  return payload;
+};
+
+// Public keys as a JWK set, for offline verification on attendant devices
+exports.getQrPublicKeys = () => {
+  const { signingKeyId, verificationKeys } = loadKeyring();
+
+  return [...verificationKeys.entries()].map(([keyId, publicKey]) => ({
+    ...publicKey.export({ format: 'jwk' }),
+    kid: keyId,
+    alg: 'EdDSA',
+    use: 'sig',
+    current: keyId === signingKeyId,
+  }));
+};
+
+// Put a booking's code (by default its current one) on the revocation list
+exports.revokeQrToken = async (booking, reason, { tokenId = booking.qrTokenId, expiresAt = booking.qrExpiresAt } = {}) => {
+  if (!tokenId) return; // Unsigned code from before signed codes
+
+  await RevokedQrToken.updateOne(
+    { tokenId },
+    {
+      $setOnInsert: {
+        booking: booking._id,
+        parking: booking.parking._id,
+        reason,
+        expiresAt: expiresAt || new Date(),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+exports.isQrTokenRevoked = async (tokenId) => Boolean(await RevokedQrToken.exists({ tokenId }));
+
+exports.EARLY_ENTRY_MINUTES = EARLY_ENTRY_MINUTES;
+exports.LATE_EXIT_HOURS = LATE_EXIT_HOURS;
@@ -0,0 +1,334 @@
+// utils/scanning.js
+// Check-in and check-out by QR code or license plate. Scanning a confirmed booking
+// at the entry starts its timer; scanning it again at the exit completes it
+// (overstay is charged by the state machine). Every scan is written to the scan log.
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const Parking = require('../models/Parking');
+const Pass = require('../models/Pass');
+const Invoice = require('../models/Invoice');
+const Notification = require('../models/Notification');
+const ScanLog = require('../models/ScanLog');
+const AppError = require('./AppError');
+const { transition } = require('./bookingStateMachine');
+const { getArrivalWindow } = require('./checkIn');
+const { isSignedQrToken, verifyQrToken, isQrTokenRevoked } = require('./qrTokens');
+const { getPlateCandidates } = require('./plates');
+
+const logScan = async (data) => {
+  try {
+    await ScanLog.create(data);
+  } catch (logError) {
+    console.error('Failed to log scan:', logError);
+  }
+};
+
+const formatTime = (date) => date.toTimeString().slice(0, 5);
+
+// Tell the driver the timer started
+exports.notifyCheckedIn = async (booking) => {
+  try {
+    await Notification.create({
+      user: booking.user._id,
+      title: 'تم تأكيد الحجز! ✅',
+      message: `تم تأكيد حجزك في ${booking.parking.name}. بدأ وقت الانتظار الآن.`,
+      type: 'booking_confirmed',
+      relatedBooking: booking._id,
+      metadata: {
+        parkingId: booking.parking._id,
+        parkingName: booking.parking.name,
+        isConfirmed: true,
+        actualStartTime: booking.actualStartTime,
+      }
+    });
+
+    console.log('📧 Booking confirmation notification sent to driver');
+  } catch (notificationError) {
+    console.error('Failed to send confirmation notification:', notificationError);
+  }
+};
+
+// Tell the driver the booking is completed, with the overstay charge if any
+exports.notifyCompleted = async (booking) => {
+  try {
+    const overstayMessage = booking.overstayCharge > 0
+      ? ` تجاوزت الوقت المحجوز بـ ${booking.overstayDuration} دقيقة. رسوم إضافية: ${booking.overstayCharge.toFixed(2)} درهم.`
+      : '';
+
+    await Notification.create({
+      user: booking.user._id,
+      title: 'اكتمل الحجز! 🏁',
+      message: `اكتمل حجزك في ${booking.parking.name}. المدة الفعلية: ${booking.actualDuration} دقيقة.${overstayMessage}`,
+      type: 'booking_completed',
+      relatedBooking: booking._id,
+      metadata: {
+        parkingId: booking.parking._id,
+        parkingName: booking.parking.name,
+        actualDuration: booking.actualDuration,
+        overstayDuration: booking.overstayDuration,
+        overstayCharge: booking.overstayCharge,
+        totalAmount: booking.totalAmount + booking.overstayCharge,
+      }
+    });
+
+    console.log('📧 Booking completion notification sent to driver');
+  } catch (notificationError) {
+    console.error('Failed to send completion notification:', notificationError);
+  }
+};
+
+// Final charges of a completed booking
+exports.getCompletionSummary = async (booking) => {
+  const invoice = await Invoice.findOne({ booking: booking._id }).select('number');
+
+  return {
+    actualDuration: booking.actualDuration,
+    bookedDuration: booking.durationMinutes,
+    overstayDuration: booking.overstayDuration,
+    originalAmount: booking.totalAmount,
+    overstayCharge: booking.overstayCharge,
+    finalAmount: booking.totalAmount + booking.overstayCharge,
+    invoiceNumber: invoice ? invoice.number : null,
+  };
+};
+
+// Who is scanning: the parking owner's attendant, or a gate device of the parking (see models/GateDevice)
+const getScanner = ({ attendantId, gate, method }) => {
+  if (gate) {
+    return {
+      log: { gate: gate._id },
+      canScan: (parking) => parking._id.toString() === gate.parking._id.toString(),
+      actor: { role: 'system' },
+      parkingId: gate.parking._id,
+      label: `at gate ${gate.name}`,
+    };
+  }
+
+  return {
+    log: { attendant: attendantId },
+    canScan: (parking) => parking.owner.toString() === attendantId,
+    actor: { role: 'owner', userId: attendantId },
+    ownerId: attendantId,
+    label: method === 'plate' ? 'by plate' : 'by QR scan',
+  };
+};
+
+// Pass holders show the same QR code on every visit; passes are checked, not timed
+const scanPass = async ({ qrCode, direction = 'entry', scanner }) => {
+  const pass = await Pass.findOne({ qrCode })
+    .populate('parking', 'name owner timezone')
+    .populate('user', 'name phone')
+    .populate('plan', 'name type nightStart nightEnd');
+
+  if (!pass) {
+    await logScan({ ...scanner.log, parking: scanner.parkingId, direction, result: 'rejected', reason: 'Invalid QR code' });
+    throw new AppError(404, 'Invalid QR code');
+  }
+
+  if (!scanner.canScan(pass.parking)) {
+    throw new AppError(403, 'Access denied to scan this pass');
+  }
+
+  const now = new Date();
+  const inSchedule = pass.plan ? pass.plan.coversTime(now, pass.parking) : false;
+  const isValid = pass.isValidNow && inSchedule;
+
+  if (isValid) {
+    pass.lastScannedAt = now;
+    await pass.save();
+  }
+
+  let message = 'Pass is valid';
+  if (!pass.isValidNow) message = pass.status === 'active' ? 'Pass is not valid at this date' : `Pass is ${pass.status}`;
+  else if (!inSchedule) message = 'Pass is not valid at this time of day';
+
+  await logScan({
+    parking: pass.parking._id,
+    pass: pass._id,
+    ...scanner.log,
+    direction,
+    result: isValid ? 'accepted' : 'rejected',
+    reason: isValid ? undefined : message,
+    scannedAt: now,
+  });
+
+  return { pass, isPass: true, isValid, direction, currentTime: now, message };
+};
+
+// Find the booking of a code. Signed codes are verified first; unsigned codes only work for bookings made before them.
+const findScannedBooking = async (qrCode) => {
+  let query;
+  let token = null;
+
+  if (isSignedQrToken(qrCode)) {
+    token = verifyQrToken(qrCode);
+    if (await isQrTokenRevoked(token.jti)) {
+      throw new AppError(400, 'QR code has been revoked');
+    }
+    query = Booking.findOne({ _id: token.bid, parking: token.pid });
+  } else {
+    query = Booking.findOne({ qrCode, qrTokenId: null });
+  }
+
+  const booking = await query
+    .populate('parking')
+    .populate('user', 'name phone')
+    .populate('spot', 'label level sizeClass hasEvCharger isAccessible');
+
+  if (!booking) {
+    throw new AppError(404, 'Invalid QR code');
+  }
+
+  // Only the latest code of a booking is accepted
+  if (token && booking.qrTokenId !== token.jti) {
+    throw new AppError(400, 'QR code has been replaced by a newer one');
+  }
+
+  return booking;
+};
+
+// Today's bookings of a plate at the parkings of an owner and/or at one parking, earliest first
+exports.findTodaysBookingsByPlate = async (rawPlate, { ownerId, parkingId }) => {
+  // Stored plates were normalized with their country, which the lookup does not know
+  const plates = getPlateCandidates(rawPlate);
+
+  const parkingFilter = {};
+  if (ownerId) parkingFilter.owner = ownerId;
+  if (parkingId) parkingFilter._id = parkingId;
+  const parkingIds = await Parking.find(parkingFilter).distinct('_id');
+
+  const bookings = await Booking.find({
+    parking: { $in: parkingIds },
+    plate: { $in: plates },
+    startTime: { $lt: moment().endOf('day').toDate() },
+    endTime: { $gt: moment().startOf('day').toDate() },
+  })
+    .populate('parking')
+    .populate('user', 'name phone')
+    .populate('spot', 'label level sizeClass hasEvCharger isAccessible')
+    .sort({ startTime: 1 });
+
+  return { plate: bookings.length > 0 ? bookings[0].plate : plates[0], bookings };
+};
+
+// The booking a car is most likely using: the one inside when leaving, otherwise the paid booking
+// starting closest to now. Falls back to any booking of the day so the rejection explains why.
+const findBookingByPlate = async ({ plate, parkingId, direction, ownerId }) => {
+  const { bookings } = await exports.findTodaysBookingsByPlate(plate, { ownerId, parkingId });
+  if (bookings.length === 0) {
+    throw new AppError(404, 'No booking today for this plate');
+  }
+
+  const isInside = bookings.some(booking => booking.status === 'active');
+  const wantedStatus = direction === 'exit' || (!direction && isInside) ? 'active' : 'confirmed';
+  const now = Date.now();
+  const distance = (booking) => Math.abs(booking.startTime.getTime() - now);
+
+  const candidates = bookings.filter(booking => booking.status === wantedStatus);
+  return (candidates.length > 0 ? candidates : bookings).sort((a, b) => distance(a) - distance(b))[0];
+};
+
+// Why the booking cannot pass in `direction` right now, or null
+const getRejectionReason = (booking, direction, now) => {
+  if (direction === 'exit') {
+    return booking.status === 'active' ? null : 'Car has not checked in with this booking';
+  }
+
+  if (booking.status === 'pending') return 'Booking is not paid yet';
+  if (booking.status === 'active') return 'Car has already checked in with this booking';
+  if (booking.status !== 'confirmed') return `Booking is ${booking.status}`;
+
+  const { opensAt, closesAt } = getArrivalWindow(booking, booking.parking);
+  if (now < opensAt) return `Check-in opens at ${formatTime(opensAt)}`;
+  if (now > closesAt) return 'Check-in window for this booking has closed';
+
+  return null;
+};
+
+// Scan a booking or pass QR code, or a booking's license plate, at the entry or exit. Without `direction`,
+// a booking that is inside is checked out and any other booking is checked in. The scan is made by an
+// attendant (`attendantId`, who must own the parking) or by a `gate` device, which only scans for its parking.
+// Attendants' plate lookups cover all their parkings, or only `parkingId`.
+exports.processScan = async ({ qrCode, plate, parkingId, direction, attendantId, gate }) => {
+  const method = qrCode ? 'qr' : 'plate';
+  const scanner = getScanner({ attendantId, gate, method });
+
+  if (qrCode && qrCode.startsWith('PARKLY-PASS-')) {
+    return scanPass({ qrCode, direction, scanner });
+  }
+
+  const lookupParkingId = scanner.parkingId || parkingId;
+
+  let booking;
+  try {
+    booking = qrCode
+      ? await findScannedBooking(qrCode)
+      : await findBookingByPlate({ plate, parkingId: lookupParkingId, direction, ownerId: scanner.ownerId });
+  } catch (error) {
+    if (error.isOperational) {
+      await logScan({ ...scanner.log, parking: lookupParkingId, direction, method, plate, result: 'rejected', reason: error.message });
+    }
+    throw error;
+  }
+
+  // Attendants scan for the parkings of their owner, gates for their own parking
+  if (!scanner.canScan(booking.parking)) {
+    if (gate) {
+      await logScan({ ...scanner.log, parking: gate.parking._id, direction, method, result: 'rejected', reason: 'Booking is for another parking' });
+    }
+    throw new AppError(403, 'Access denied to scan this booking');
+  }
+
+  const now = new Date();
+  const scanDirection = direction || (booking.status === 'active' ? 'exit' : 'entry');
+  const log = {
+    ...scanner.log,
+    parking: booking.parking._id,
+    booking: booking._id,
+    direction: scanDirection,
+    method,
+    plate: booking.plate,
+    scannedAt: now,
+  };
+
+  const reason = getRejectionReason(booking, scanDirection, now);
+  if (reason) {
+    await logScan({ ...log, result: 'rejected', reason });
+    return { booking, isValid: false, direction: scanDirection, spot: booking.spot, currentTime: now, message: reason };
+  }
+
+  if (gate) {
+    booking.gateEvents.push({ gate: gate._id, direction: scanDirection, at: now });
+  }
+
+  if (scanDirection === 'entry') {
+    // ✅ START THE TIMER
+    booking.isArrived = true;
+    await transition(booking, 'active', { ...scanner.actor, reason: `Checked in ${scanner.label}` });
+    await logScan({ ...log, result: 'accepted' });
+    await exports.notifyCheckedIn(booking);
+
+    return {
+      booking,
+      isValid: true,
+      direction: scanDirection,
+      spot: booking.spot, // Where the attendant should direct the car
+      currentTime: now,
+      message: 'Checked in. Timer started.',
+    };
+  }
+
+  // Completion records the actual duration and overstay charges, and issues the invoice
+  await transition(booking, 'completed', { ...scanner.actor, reason: `Checked out ${scanner.label}` });
+  await logScan({ ...log, result: 'accepted' });
+  await exports.notifyCompleted(booking);
+
+  return {
+    booking,
+    isValid: true,
+    direction: scanDirection,
+    currentTime: now,
+    message: booking.overstayCharge > 0 ? 'Checked out with overstay charge' : 'Checked out',
+    summary: await exports.getCompletionSummary(booking),
+  };
+};
@@ -0,0 +1,202 @@
+// utils/settlement.js
+// Groups completed, paid bookings into per-owner payout statements once their
+// payout period has closed, keeping the platform commission. Only money the
+// platform or the owner actually collected is paid out.
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const Payout = require('../models/Payout');
+const Notification = require('../models/Notification');
+const AppError = require('./AppError');
+const { round } = require('./pricing');
+
+const COMMISSION_PERCENT = process.env.PLATFORM_COMMISSION_PERCENT !== undefined
+  ? Number(process.env.PLATFORM_COMMISSION_PERCENT)
+  : 10;
+
+// Payout periods are ISO weeks (Monday to Sunday) unless PAYOUT_PERIOD=monthly
+const PERIOD_UNIT = process.env.PAYOUT_PERIOD === 'monthly' ? 'month' : 'isoWeek';
+
+const getPayoutPeriod = (date) => {
+  const start = moment(date).startOf(PERIOD_UNIT);
+  return {
+    start: start.toDate(),
+    end: start.clone().add(1, PERIOD_UNIT === 'month' ? 'month' : 'week').toDate(),
+  };
+};
+
+const buildLine = (booking) => {
+  // Card bookings are not charged for overstays, nor for an extra amount they never paid
+  const uncollectedOverstay = booking.paymentMethod === 'card' ? booking.overstayCharge || 0 : 0;
+  const bookingAmount = round(booking.totalAmount - (booking.amountDue || 0));
+  const overstayCharge = round((booking.overstayCharge || 0) - uncollectedOverstay);
+  const grossAmount = round(bookingAmount + overstayCharge);
+  const commission = round(grossAmount * COMMISSION_PERCENT / 100);
+
+  return {
+    booking: booking._id,
+    parking: booking.parking._id,
+    parkingName: booking.parking.name,
+    completedAt: booking.actualEndTime,
+    paymentMethod: booking.paymentMethod,
+    bookingAmount,
+    overstayCharge,
+    uncollectedAmount: round(uncollectedOverstay + (booking.amountDue || 0)),
+    grossAmount,
+    commissionPercent: COMMISSION_PERCENT,
+    commission,
+    netAmount: round(grossAmount - commission),
+  };
+};
+
+const notify = async (data) => {
+  try {
+    await Notification.create(data);
+  } catch (notificationError) {
+    console.error('Failed to send payout notification:', notificationError);
+  }
+};
+
+// Pending statement for an owner and period. Bookings settled after their period
+// was already paid out go to a new statement of the same period.
+const findOpenPayout = async (owner, period) => {
+  const latest = await Payout.findOne({ owner, periodStart: period.start }).sort({ sequence: -1 });
+  if (latest && latest.status === 'pending') return latest;
+
+  return new Payout({
+    owner,
+    periodStart: period.start,
+    periodEnd: period.end,
+    sequence: latest ? (latest.sequence || 1) + 1 : 1,
+  });
+};
+
+// Add a group of bookings to a statement; each booking is claimed first so it
+// can never be settled twice, even with several workers
+const settleGroup = async (payout, bookings) => {
+  const lines = [];
+
+  for (const booking of bookings) {
+    const { modifiedCount } = await Booking.updateOne(
+      { _id: booking._id, payout: null },
+      { $set: { payout: payout._id } }
+    );
+    if (modifiedCount === 1) lines.push(buildLine(booking));
+  }
+
+  if (lines.length === 0) return 0;
+
+  const isNew = payout.isNew;
+  payout.lines.push(...lines);
+  payout.calculateTotals();
+
+  try {
+    await payout.save();
+  } catch (error) {
+    await Booking.updateMany({ _id: { $in: lines.map(line => line.booking) } }, { $unset: { payout: 1 } });
+    throw error;
+  }
+
+  if (isNew) {
+    await notify({
+      user: payout.owner,
+      title: 'كشف مستحقات جديد 💰',
+      message: `كشف مستحقاتك للفترة ${moment(payout.periodStart).format('YYYY-MM-DD')} - ${moment(payout.periodEnd).subtract(1, 'day').format('YYYY-MM-DD')} جاهز. الصافي: ${payout.netAmount.toFixed(2)} درهم.`,
+      type: 'payout_created',
+      metadata: { payoutId: payout._id, netAmount: payout.netAmount },
+    });
+  }
+
+  return lines.length;
+};
+
+// Settle every completed, paid booking whose payout period has closed
+exports.settlePayouts = async (now = new Date()) => {
+  const currentPeriod = getPayoutPeriod(now);
+
+  const bookings = await Booking.find({
+    status: 'completed',
+    paymentStatus: 'paid',
+    payout: null,
+    actualEndTime: { $lt: currentPeriod.start },
+  }).populate('parking', 'name owner');
+
+  // owner -> period -> bookings
+  const groups = new Map();
+  for (const booking of bookings) {
+    if (!booking.parking) continue;
+
+    const period = getPayoutPeriod(booking.actualEndTime);
+    const key = `${booking.parking.owner}:${period.start.getTime()}`;
+    if (!groups.has(key)) {
+      groups.set(key, { owner: booking.parking.owner, period, bookings: [] });
+    }
+    groups.get(key).bookings.push(booking);
+  }
+
+  let settled = 0;
+  for (const { owner, period, bookings: groupBookings } of groups.values()) {
+    const payout = await findOpenPayout(owner, period);
+    settled += await settleGroup(payout, groupBookings);
+  }
+
+  return settled;
+};
+
+// Record the bank transfer of a pending statement
+exports.markPayoutPaid = async (payoutId, paymentReference) => {
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, status: 'pending' },
+    { $set: { status: 'paid', paidAt: new Date(), paymentReference } },
+    { new: true }
+  );
+
+  if (!payout) {
+    throw new AppError(400, 'Payout not found or already paid');
+  }
+
+  await notify({
+    user: payout.owner,
+    title: 'تم تحويل مستحقاتك ✅',
+    message: `تم تحويل ${payout.netAmount.toFixed(2)} درهم إلى حسابك.${paymentReference ? ` المرجع: ${paymentReference}` : ''}`,
+    type: 'payout_paid',
+    metadata: { payoutId: payout._id, netAmount: payout.netAmount, paymentReference },
+  });
+
+  return payout;
+};
+
+const CSV_COLUMNS = [
+  ['booking', 'Booking'],
+  ['parkingName', 'Parking'],
+  ['completedAt', 'Completed at'],
+  ['paymentMethod', 'Payment method'],
+  ['bookingAmount', 'Booking amount'],
+  ['overstayCharge', 'Overstay charge'],
+  ['uncollectedAmount', 'Uncollected'],
+  ['grossAmount', 'Gross'],
+  ['commissionPercent', 'Commission %'],
+  ['commission', 'Commission'],
+  ['netAmount', 'Net'],
+];
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per booking followed by a totals row
+exports.payoutToCsv = (payout) => {
+  const rows = [CSV_COLUMNS.map(([, header]) => header)];
+
+  for (const line of payout.lines) {
+    rows.push(CSV_COLUMNS.map(([field]) => line[field]));
+  }
+
+  rows.push(['Total', '', '', '', '', '', '', payout.grossAmount, '', payout.commission, payout.netAmount]);
+
+  return rows.map(row => row.map(toCsvValue).join(',')).join('\n') + '\n';
+};
+
+exports.getPayoutPeriod = getPayoutPeriod;
+exports.COMMISSION_PERCENT = COMMISSION_PERCENT;
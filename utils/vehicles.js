@@ -0,0 +1,28 @@
+// utils/vehicles.js
+const Vehicle = require('../models/Vehicle');
+const AppError = require('./AppError');
+
+// Vehicle of a new booking: the one the driver picked, otherwise their default vehicle (if any)
+exports.resolveBookingVehicle = async (userId, vehicleId) => {
+  if (!vehicleId) {
+    return Vehicle.findOne({ user: userId, isDefault: true });
+  }
+
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, user: userId });
+  if (!vehicle) throw new AppError(404, 'Vehicle not found');
+
+  return vehicle;
+};
+
+// ParkingSpot.findFreeSpots criteria for spots the vehicle fits in
+exports.getSpotCriteria = (vehicle) => (vehicle
+  ? { sizeClass: { $in: Vehicle.FITTING_SPOT_SIZES[vehicle.sizeClass] } }
+  : {});
+
+exports.fitsSpot = (vehicle, spot) => !vehicle || Vehicle.FITTING_SPOT_SIZES[vehicle.sizeClass].includes(spot.sizeClass);
+
+// Try EV charger spots first for electric cars and last for the others
+exports.sortSpotsForVehicle = (spots, vehicle) => {
+  if (!vehicle) return spots;
+  return [...spots].sort((a, b) => (b.hasEvCharger === vehicle.isElectric) - (a.hasEvCharger === vehicle.isElectric));
+};
@@ -0,0 +1,117 @@
+// utils/waitlist.js
+// Offers freed capacity to drivers on the waitlist. An offer reserves the
+// entry's window on the capacity ledger for a limited time; the driver turns
+// it into a booking with POST /waitlist/:id/book or loses it when it expires.
+const moment = require('moment');
+const Parking = require('../models/Parking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Notification = require('../models/Notification');
+const { reserveParking, releaseHolder } = require('./capacityLedger');
+const { getClosedReason } = require('./openingHours');
+
+const HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES) || 15;
+
+const notify = async (data) => {
+  try {
+    await Notification.create(data);
+  } catch (notificationError) {
+    console.error('Failed to send waitlist notification:', notificationError);
+  }
+};
+
+// Offer capacity freed in [from, to) at a parking to the waiting drivers, first come first served.
+// Returns the number of offers made.
+exports.offerFreedCapacity = async (parkingId, from, to) => {
+  const now = new Date();
+  if (to <= now) return 0;
+
+  const entries = await WaitlistEntry.find({
+    parking: parkingId,
+    status: 'waiting',
+    startTime: { $gt: now, $lt: to },
+    endTime: { $gt: from },
+  }).sort({ createdAt: 1 });
+
+  if (entries.length === 0) return 0;
+
+  const parking = await Parking.findById(parkingId);
+  if (!parking || !parking.isAvailable) return 0;
+
+  let offered = 0;
+  for (const entry of entries) {
+    if (getClosedReason(parking, entry.startTime, entry.endTime)) continue;
+
+    // Only a driver whose whole window fits the free capacity is eligible
+    const slots = await reserveParking(parking, entry._id, entry.startTime, entry.endTime);
+    if (!slots) continue;
+
+    const holdExpiresAt = moment(now).add(HOLD_MINUTES, 'minutes').toDate();
+    const claimed = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'waiting' },
+      { $set: { status: 'offered', offeredAt: now, holdExpiresAt } }
+    );
+    if (claimed.modifiedCount === 0) {
+      // The driver left the waitlist meanwhile
+      await releaseHolder(parking._id, entry._id);
+      continue;
+    }
+
+    offered++;
+    await notify({
+      user: entry.user,
+      title: 'أصبح مكان متاحاً! 🅿️',
+      message: `تحرر مكان في ${parking.name} للوقت الذي طلبته (${moment(entry.startTime).format('YYYY-MM-DD HH:mm')}). المكان محجوز لك لمدة ${HOLD_MINUTES} دقيقة، أكد الحجز قبل ${moment(holdExpiresAt).format('HH:mm')}.`,
+      type: 'waitlist_offer',
+      metadata: {
+        waitlistEntryId: entry._id,
+        parkingId: parking._id,
+        parkingName: parking.name,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        holdExpiresAt,
+      },
+    });
+  }
+
+  return offered;
+};
+
+// Give up an offered hold (driver left the waitlist or the offer expired)
+exports.releaseWaitlistHold = (entry) => releaseHolder(entry.parking._id || entry.parking, entry._id);
+
+// Expire lapsed offers (passing the spot to the next driver) and entries whose start time has passed
+exports.processWaitlist = async (now = new Date()) => {
+  const lapsedOffers = await WaitlistEntry.find({ status: 'offered', holdExpiresAt: { $lte: now } });
+  let expired = 0;
+  let offered = 0;
+
+  for (const entry of lapsedOffers) {
+    const claimed = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'offered' },
+      { $set: { status: 'expired' } }
+    );
+    if (claimed.modifiedCount === 0) continue; // Booked meanwhile
+
+    await exports.releaseWaitlistHold(entry);
+    expired++;
+
+    await notify({
+      user: entry.user,
+      title: 'انتهت مدة الحجز المؤقت ⌛',
+      message: 'لم يتم تأكيد المكان الذي تحرر لك في الوقت المحدد، فتم عرضه على السائق التالي.',
+      type: 'waitlist_expired',
+      metadata: { waitlistEntryId: entry._id, parkingId: entry.parking },
+    });
+
+    offered += await exports.offerFreedCapacity(entry.parking, entry.startTime, entry.endTime);
+  }
+
+  const stale = await WaitlistEntry.updateMany(
+    { status: 'waiting', startTime: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+
+  return { expired: expired + stale.modifiedCount, offered };
+};
+
+exports.HOLD_MINUTES = HOLD_MINUTES;
@@ -0,0 +1,82 @@
+// utils/wallet.js
+// Every balance change goes through here: the user's cached `wallet.balance` is
+// updated and an immutable WalletTransaction is appended to the ledger in one
+// Mongo transaction (the database must run as a replica set).
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const AppError = require('./AppError');
+const { round } = require('./pricing');
+
+const MIN_TOPUP_AMOUNT = Number(process.env.WALLET_MIN_TOPUP) || 10;
+const MAX_TOPUP_AMOUNT = Number(process.env.WALLET_MAX_TOPUP) || 5000;
+
+const applyTransaction = async (userId, amount, { type, booking, payment, description, reference, allowNegative = false }) => {
+  amount = round(amount);
+
+  // Replayed operations (webhooks, retries) are recorded only once
+  if (reference) {
+    const existing = await WalletTransaction.findOne({ reference });
+    if (existing) return existing;
+  }
+
+  const filter = { _id: userId };
+  if (amount < 0 && !allowNegative) {
+    filter['wallet.balance'] = { $gte: -amount };
+  }
+
+  // The balance and the ledger entry are written in one transaction, so neither exists without the other
+  try {
+    return await mongoose.connection.transaction(async (session) => {
+      const user = await User.findOneAndUpdate(filter, { $inc: { 'wallet.balance': amount } }, { new: true, session });
+      if (!user) {
+        if (await User.exists({ _id: userId }).session(session)) {
+          throw new AppError(400, 'Insufficient wallet balance');
+        }
+        throw new AppError(404, 'User not found');
+      }
+
+      const [walletTransaction] = await WalletTransaction.create([{
+        user: userId,
+        type,
+        amount,
+        balanceAfter: round(user.wallet.balance),
+        currency: user.wallet.currency,
+        booking,
+        payment,
+        description,
+        reference,
+      }], { session });
+      return walletTransaction;
+    });
+  } catch (error) {
+    // The same operation was recorded in parallel; the transaction rolled this one back
+    if (error.code === 11000 && reference) {
+      return WalletTransaction.findOne({ reference });
+    }
+    throw error;
+  }
+};
+
+exports.creditWallet = (userId, amount, details) => {
+  if (!(amount > 0)) throw new AppError(400, 'Credit amount must be positive');
+  return applyTransaction(userId, amount, details);
+};
+
+// Throws a 400 when the balance is too low, unless `allowNegative` (charges for time already used)
+exports.debitWallet = (userId, amount, details) => {
+  if (!(amount > 0)) throw new AppError(400, 'Debit amount must be positive');
+  return applyTransaction(userId, -amount, details);
+};
+
+// Net amount a booking has taken from the wallet (payments and charges minus refunds)
+exports.getBookingWalletTotal = async (bookingId) => {
+  const [result] = await WalletTransaction.aggregate([
+    { $match: { booking: new mongoose.Types.ObjectId(String(bookingId)) } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]);
+  return result ? round(-result.total) : 0;
+};
+
+exports.MIN_TOPUP_AMOUNT = MIN_TOPUP_AMOUNT;
+exports.MAX_TOPUP_AMOUNT = MAX_TOPUP_AMOUNT;